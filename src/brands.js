@@ -0,0 +1,253 @@
+import {
+  generateElement,
+  isNonEmptyString,
+  isObject,
+} from './lib.js';
+import { defaultCTAColors, defaultLinks } from './ctaButtons.js';
+import { largeHeadingStyle, smallHeadingStyle, sectionStyle } from './editorStyles.js';
+import {
+  copyFooter,
+  defaultFooter,
+  isSameFooter,
+  validateFooter,
+} from './footer.js';
+
+/*
+ * Brand profiles give an email the look of one of ISA's divisions. The
+ * profiles to choose from are listed in the brand kit, assets/brandKit.json:
+ *
+ * {
+ *   "brands": [
+ *     {
+ *       "id": "isa",
+ *       "name": "ISA",
+ *       "sender": { "name": "ISA", "address": "isa@studiesabroad.com" },
+ *       "header": { "src": "https://...", "alt": "Study Abroad", "href": "https://..." },
+ *       "footer": { "phone": "512-480-8522", "email": "isa@studiesabroad.com", ... },
+ *       "fonts": { "heading": "'Helvetica', sans-serif", "body": "Times" },
+ *       "headingColors": { "large": "#333", "small": "#888" },
+ *       "cta": { "color": "#ffffff", "background": "#00253d" },
+ *       "links": [{ "text": "Apply Now", "url": "https://..." }]
+ *     }
+ *   ]
+ * }
+ *
+ * The footer holds the contact details and social profiles new emails get in
+ * their footer (the format is described in footer.js). The fonts and heading
+ * colors are copied into the email's design (see emailStyle.js). CTA colors
+ * are six digit hex colors, as the Settings color pickers require. The links
+ * are the buttons new emails get.
+ *
+ * The profile chosen for an email is copied into docInfo.brand, so the email
+ * keeps its look even if the brand kit changes or can't be loaded.
+ *
+ * The brand kit only has ISA's profile so far. The other divisions' headers,
+ * footers and colors are added to it as they're provided. Until then the
+ * Brand field in Settings can't be changed.
+ */
+
+export const brandKitURL = 'assets/brandKit.json';
+
+export const defaultBrand = {
+  id: 'isa',
+  name: 'ISA',
+  sender: { name: 'ISA', address: 'isa@studiesabroad.com' },
+  header: {
+    src: 'http://studiesabroad.com/html-email-files/images/html-footer/header.gif',
+    alt: 'Study Abroad',
+    href: 'http://studiesabroad.com/?utm_source=InsideISA&utm_medium=email&utm_content=logo_header&utm_campaign=InsideISA',
+  },
+  footer: copyFooter(defaultFooter),
+  fonts: {
+    heading: largeHeadingStyle['font-family'],
+    body: sectionStyle['font-family'],
+  },
+  headingColors: {
+    large: largeHeadingStyle.color,
+    small: smallHeadingStyle.color,
+  },
+  cta: Object.assign({}, defaultCTAColors),
+  links: defaultLinks.map(link => ({ text: link.text, url: link.url })),
+};
+
+const hexColorPattern = /^#[0-9a-f]{6}$/i;
+
+// Resolves with the brands in the brand kit. The kit is only fetched once.
+let brandKit = null;
+
+/**
+ * validateHeader - Validates the header image of a brand.
+ *
+ * @param {*} image The image to validate.
+ *
+ * @returns {string[]} Returns an array of the problems found.
+ */
+function validateHeader(image) {
+  if (!isObject(image)) return ['The brand\'s header must be an image.'];
+  const errors = [];
+  if (!isNonEmptyString(image.src)) errors.push('The brand\'s header has no image.');
+  if (typeof image.alt !== 'string') errors.push('The brand\'s header has no alt text.');
+  if (typeof image.href !== 'string') errors.push('The brand\'s header has no link.');
+  return errors;
+}
+
+/**
+ * validateBrand - Validates a brand profile.
+ *
+ * @param {*} brand The brand to validate.
+ *
+ * @returns {string[]} Returns an array of the problems found. The array is
+ *  empty if the brand is valid.
+ */
+export function validateBrand(brand) {
+  if (!isObject(brand)) return ['The email has no brand.'];
+  let errors = [];
+  if (!isNonEmptyString(brand.id)) errors.push('The brand has no id.');
+  if (!isNonEmptyString(brand.name)) errors.push('The brand has no name.');
+  if (!isObject(brand.sender) || !isNonEmptyString(brand.sender.name)
+    || !isNonEmptyString(brand.sender.address)) {
+    errors.push('The brand has no sender name and address.');
+  }
+  errors = errors.concat(validateHeader(brand.header));
+  errors = errors.concat(validateFooter(brand.footer, 'The brand\'s footer'));
+  if (!isObject(brand.fonts) || !isNonEmptyString(brand.fonts.heading)
+    || !isNonEmptyString(brand.fonts.body)) {
+    errors.push('The brand has no heading and body fonts.');
+  }
+  if (!isObject(brand.headingColors) || !isNonEmptyString(brand.headingColors.large)
+    || !isNonEmptyString(brand.headingColors.small)) {
+    errors.push('The brand has no heading colors.');
+  }
+  if (!isObject(brand.cta) || !hexColorPattern.test(brand.cta.color)
+    || !hexColorPattern.test(brand.cta.background)) {
+    errors.push('The brand\'s button colors must be hex colors, eg. #00253d.');
+  }
+  if (!Array.isArray(brand.links) || !brand.links.every(link => isObject(link)
+    && isNonEmptyString(link.text) && isNonEmptyString(link.url))) {
+    errors.push('Each of the brand\'s buttons needs some text and a URL.');
+  }
+  return errors;
+}
+
+/**
+ * copyBrand - Creates a copy of a brand profile which can be changed without
+ *  affecting the original.
+ *
+ * @param {object} brand The brand to copy.
+ *
+ * @returns {object} Returns the copy.
+ */
+export function copyBrand(brand) {
+  return JSON.parse(JSON.stringify(brand));
+}
+
+/**
+ * loadBrandKit - Gets the brands in the brand kit. Brands in the kit which
+ *  are invalid are skipped. The built-in ISA brand is listed first unless
+ *  the kit has its own version of it.
+ *
+ * @returns {Promise} Resolves with an array of brands. If the kit can't be
+ *  loaded, resolves with just the built-in brand.
+ */
+export function loadBrandKit() {
+  if (brandKit) return brandKit;
+  brandKit = Promise.resolve()
+    .then(() => window.fetch(brandKitURL))
+    .then((response) => {
+      if (!response.ok) throw Error(`The brand kit could not be loaded (${response.status}).`);
+      return response.json();
+    })
+    .then((kit) => {
+      const brands = (isObject(kit) && Array.isArray(kit.brands) ? kit.brands : [])
+        .filter(brand => validateBrand(brand).length === 0);
+      if (brands.some(brand => brand.id === defaultBrand.id)) return brands;
+      return [defaultBrand].concat(brands);
+    })
+    .catch(() => [defaultBrand]);
+  return brandKit;
+}
+
+/**
+ * createBrandLinks - Creates the CTA buttons a brand's emails start with.
+ *
+ * @param {object} brand The brand.
+ *
+ * @returns {object[]} Returns the buttons, in the brand's colors.
+ */
+export function createBrandLinks(brand) {
+  return brand.links.map(link => Object.assign({
+    text: link.text,
+    url: link.url,
+    tracking: true,
+  }, brand.cta));
+}
+
+/**
+ * rebrandLinks - Moves an email's CTA buttons from one brand to another. If
+ *  the buttons are still the old brand's defaults, they're replaced with the
+ *  new brand's. Otherwise buttons in the old brand's colors are recolored and
+ *  the rest are left alone.
+ *
+ * @param {object[]} links The email's buttons, ie. docInfo.links.
+ * @param {object} from The brand the email had.
+ * @param {object} to The brand the email is given.
+ *
+ * @returns {object[]} Returns the new buttons.
+ */
+export function rebrandLinks(links, from, to) {
+  const unchanged = links.length === from.links.length
+    && links.every((link, i) => link.text === from.links[i].text && link.url === from.links[i].url);
+  if (unchanged) return createBrandLinks(to);
+  return links.map((link) => {
+    const branded = link.color.toLowerCase() === from.cta.color.toLowerCase()
+      && link.background.toLowerCase() === from.cta.background.toLowerCase();
+    return branded ? Object.assign({}, link, to.cta) : Object.assign({}, link);
+  });
+}
+
+/**
+ * rebrandFooter - Moves an email's footer from one brand to another. A footer
+ *  which is still the old brand's is replaced with the new brand's. A footer
+ *  the user has edited is kept.
+ *
+ * @param {object} footer The email's footer, ie. docInfo.footer.
+ * @param {object} from The brand the email had.
+ * @param {object} to The brand the email is given.
+ *
+ * @returns {object} Returns the new footer.
+ */
+export function rebrandFooter(footer, from, to) {
+  return copyFooter(isSameFooter(footer, from.footer) ? to.footer : footer);
+}
+
+/**
+ * generateBrandImage - Creates the table holding a brand's header image, laid
+ *  out like the header in index.html.
+ *
+ * @param {object} image The image: { src, alt, href }.
+ *
+ * @returns {Element} Returns the table.
+ */
+export function generateBrandImage(image) {
+  const $table = generateElement('table', {
+    width: '100%',
+    border: '0',
+    cellspacing: '0',
+    cellpadding: '0',
+  });
+  const $tbody = generateElement('tbody');
+  const $row = generateElement('tr');
+  const $cell = generateElement('td', { style: { 'text-align': 'center' } });
+  const $img = generateElement('img', { src: image.src, alt: image.alt, style: { margin: 'auto' } });
+  if (image.href) {
+    const $link = generateElement('a', { href: image.href, target: '_blank' });
+    $link.appendChild($img);
+    $cell.appendChild($link);
+  } else {
+    $cell.appendChild($img);
+  }
+  $row.appendChild($cell);
+  $tbody.appendChild($row);
+  $table.appendChild($tbody);
+  return $table;
+}
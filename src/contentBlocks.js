@@ -0,0 +1,358 @@
+import { appendChildren, generateElement } from './lib.js';
+import { sectionStyle } from './editorStyles.js';
+
+/*
+ * Content blocks are the email-safe elements the editor can't make itself:
+ * buttons, spacers, two-column rows, callouts and bullet lists. A block is
+ * kept in the editor as a container section, like an image, holding the table
+ * it's exported as:
+ *
+ * <div class="wf__container-section" contenteditable="false"
+ *   data-block="button" data-block-settings='{"text": "Apply Now", ...}'>
+ *   <table role="presentation" ...>...</table>
+ * </div>
+ *
+ * The settings of each type of block are:
+ *
+ * button: { text, url, color, background }
+ * spacer: { height }
+ * columns: { src, alt, href, text, imageSide } where imageSide is 'left' or
+ *   'right' and href may be empty.
+ * callout: { text, background, accent }
+ * list: { items }
+ *
+ * Text is plain text; line breaks are kept. Blocks can't be typed in. They're
+ * rebuilt from their settings when the email's design changes, so they take on
+ * its fonts and text color (see emailStyle.js). Links edited elsewhere, eg. in
+ * the Links view, must be written back into the settings with syncBlockLink.
+ */
+
+export const blockAttribute = 'data-block';
+export const blockSettingsAttribute = 'data-block-settings';
+
+export const blockTypes = {
+  button: { name: 'Button' },
+  spacer: { name: 'Spacer' },
+  columns: { name: 'Image and Text' },
+  callout: { name: 'Callout' },
+  list: { name: 'Bullet List' },
+};
+
+// Each column is half the width of the email's content, less the gap between
+// them. See contentWidth in emailExport.js.
+const columnWidth = 270;
+const columnGap = 30;
+
+/**
+ * getTextStyle - Gets the inline style of the text in a block.
+ *
+ * @param {object} style The design of the email, ie. docInfo.style.
+ *
+ * @returns {object} Returns the style.
+ */
+function getTextStyle(style) {
+  return {
+    'font-family': style.bodyFont,
+    'font-size': `${style.bodySize}px`,
+    'line-height': `${style.lineHeight}em`,
+    color: style.bodyColor,
+  };
+}
+
+/**
+ * generateTable - Creates a table used purely for layout, with a single row.
+ *
+ * @param {object} [attrs={}] Other attributes of the table, eg. its width.
+ *
+ * @returns {Element} Returns the table. Cells belong in its rows[0].
+ */
+function generateTable(attrs = {}) {
+  const $table = generateElement('table', Object.assign({
+    role: 'presentation',
+    border: '0',
+    cellspacing: '0',
+    cellpadding: '0',
+  }, attrs));
+  $table.style.setProperty('border-collapse', 'collapse');
+  const $tbody = generateElement('tbody');
+  $tbody.appendChild(generateElement('tr'));
+  $table.appendChild($tbody);
+  return $table;
+}
+
+/**
+ * appendText - Adds plain text to an element, keeping its line breaks.
+ *
+ * @param {Element} $el The element.
+ * @param {string} text The text.
+ *
+ * @returns {Element} Returns $el.
+ */
+function appendText($el, text) {
+  text.split('\n').forEach((line, i) => {
+    if (i > 0) $el.appendChild(generateElement('br'));
+    $el.appendChild(document.createTextNode(line));
+  });
+  return $el;
+}
+
+/**
+ * generateButton - Creates a button which, unlike the CTA buttons, sits among
+ *  the content. The color is on the cell as well as the link so the button
+ *  keeps its color in Outlook, which ignores the link's padding.
+ *
+ * @param {object} settings The settings of the button.
+ * @param {object} style The design of the email.
+ *
+ * @returns {Element} Returns the table.
+ */
+function generateButton(settings, style) {
+  const $table = generateTable({ align: 'center' });
+  $table.style.setProperty('margin', '0 auto');
+  const $cell = generateElement('td', {
+    align: 'center',
+    bgcolor: settings.background,
+    style: { background: settings.background, 'border-radius': '4px' },
+  });
+  $cell.appendChild(generateElement('a', {
+    href: settings.url,
+    target: '_blank',
+    textContent: settings.text,
+    style: {
+      display: 'inline-block',
+      padding: '12px 24px',
+      'font-family': style.headingFont,
+      'font-size': `${style.bodySize}px`,
+      'font-weight': 'bold',
+      color: settings.color,
+      background: settings.background,
+      'text-decoration': 'none',
+      'border-radius': '4px',
+    },
+  }));
+  $table.rows[0].appendChild($cell);
+  return $table;
+}
+
+/**
+ * generateSpacer - Creates an empty space between blocks.
+ *
+ * @param {object} settings The settings of the spacer.
+ *
+ * @returns {Element} Returns the table.
+ */
+function generateSpacer(settings) {
+  const height = `${settings.height}px`;
+  const $table = generateTable({ width: '100%' });
+  $table.rows[0].appendChild(generateElement('td', {
+    height: String(settings.height),
+    innerHTML: '&nbsp;',
+    style: { height, 'font-size': height, 'line-height': height },
+  }));
+  return $table;
+}
+
+/**
+ * generateColumns - Creates a row with an image on one side and text on the
+ *  other. Responsive emails stack the columns on phones.
+ *
+ * @param {object} settings The settings of the row.
+ * @param {object} style The design of the email.
+ *
+ * @returns {Element} Returns the table.
+ */
+function generateColumns(settings, style) {
+  const $table = generateTable({ width: '100%' });
+  const $img = generateElement('img', {
+    src: settings.src,
+    alt: settings.alt,
+    width: String(columnWidth),
+    border: '0',
+    style: {
+      display: 'block',
+      width: '100%',
+      'max-width': `${columnWidth}px`,
+      height: 'auto',
+      border: '0',
+    },
+  });
+  const $imageCell = generateElement('td', { klasses: ['isaEmail__column'], width: String(columnWidth), valign: 'top' });
+  if (settings.href) {
+    const $link = generateElement('a', { href: settings.href, target: '_blank' });
+    $link.appendChild($img);
+    $imageCell.appendChild($link);
+  } else {
+    $imageCell.appendChild($img);
+  }
+  const $textCell = generateElement('td', {
+    klasses: ['isaEmail__column'],
+    width: String(columnWidth),
+    valign: 'top',
+    style: getTextStyle(style),
+  });
+  appendText($textCell, settings.text);
+  const $gap = generateElement('td', { klasses: ['isaEmail__gap'], width: String(columnGap), innerHTML: '&nbsp;' });
+  const cells = settings.imageSide === 'right'
+    ? [$textCell, $gap, $imageCell]
+    : [$imageCell, $gap, $textCell];
+  appendChildren($table.rows[0], cells);
+  return $table;
+}
+
+/**
+ * generateCallout - Creates a highlighted box of text, eg. for a deadline.
+ *
+ * @param {object} settings The settings of the callout.
+ * @param {object} style The design of the email.
+ *
+ * @returns {Element} Returns the table.
+ */
+function generateCallout(settings, style) {
+  const $table = generateTable({ width: '100%' });
+  const $cell = generateElement('td', {
+    bgcolor: settings.background,
+    style: Object.assign({
+      background: settings.background,
+      'border-left': `4px solid ${settings.accent}`,
+      padding: '15px 20px',
+    }, getTextStyle(style)),
+  });
+  $table.rows[0].appendChild(appendText($cell, settings.text));
+  return $table;
+}
+
+/**
+ * generateList - Creates a bulleted list. Each item is a row of its own since
+ *  email clients space and indent <ul> differently.
+ *
+ * @param {object} settings The settings of the list.
+ * @param {object} style The design of the email.
+ *
+ * @returns {Element} Returns the table.
+ */
+function generateList(settings, style) {
+  const $table = generateTable({ width: '100%' });
+  const $tbody = $table.tBodies[0];
+  $tbody.removeChild($table.rows[0]);
+  const textStyle = Object.assign({ 'padding-bottom': '4px' }, getTextStyle(style));
+  settings.items.forEach((item) => {
+    const $row = generateElement('tr');
+    appendChildren($row, [
+      generateElement('td', {
+        width: '20',
+        valign: 'top',
+        innerHTML: '&bull;',
+        style: textStyle,
+      }),
+      generateElement('td', { valign: 'top', textContent: item, style: textStyle }),
+    ]);
+    $tbody.appendChild($row);
+  });
+  return $table;
+}
+
+const blockGenerators = {
+  button: generateButton,
+  spacer: generateSpacer,
+  columns: generateColumns,
+  callout: generateCallout,
+  list: generateList,
+};
+
+/**
+ * isContentBlock - Determines if a section of the editor is a content block.
+ *
+ * @param {Element} $block The section.
+ *
+ * @returns {boolean} Returns true if the section is a content block.
+ */
+export function isContentBlock($block) {
+  return $block.hasAttribute(blockAttribute);
+}
+
+/**
+ * getBlockSettings - Reads the settings of a content block.
+ *
+ * @param {Element} $block The content block.
+ *
+ * @returns {object|null} Returns the settings, or null if they can't be read.
+ */
+export function getBlockSettings($block) {
+  try {
+    return JSON.parse($block.getAttribute(blockSettingsAttribute));
+  } catch (exc) {
+    return null;
+  }
+}
+
+/**
+ * generateContentBlock - Creates a content block to insert in the editor.
+ *
+ * @param {string} type A key of blockTypes.
+ * @param {object} settings The settings of the block.
+ * @param {object} style The design of the email, ie. docInfo.style.
+ *
+ * @returns {Element} Returns the container section holding the block.
+ */
+export function generateContentBlock(type, settings, style) {
+  const $block = generateElement('div', {
+    klasses: ['wf__container-section'],
+    contenteditable: 'false',
+    style: sectionStyle,
+  });
+  $block.setAttribute(blockAttribute, type);
+  $block.setAttribute(blockSettingsAttribute, JSON.stringify(settings));
+  $block.appendChild(blockGenerators[type](settings, style));
+  return $block;
+}
+
+/**
+ * restyleBlock - Rebuilds a content block in the given design. Blocks whose
+ *  settings can't be read are left as they are.
+ *
+ * @param {Element} $block The content block.
+ * @param {object} style The design of the email.
+ *
+ * @returns {Element} Returns $block.
+ */
+export function restyleBlock($block, style) {
+  const type = $block.getAttribute(blockAttribute);
+  const settings = getBlockSettings($block);
+  if (!settings || !blockGenerators[type]) return $block;
+  // The data attributes of links, eg. campaign tagging opt-outs, aren't
+  // settings, so they're carried over to the rebuilt links.
+  const linkData = Array.from($block.querySelectorAll('a')).map($link => (
+    Array.from($link.attributes).filter(({ name }) => name.startsWith('data-'))
+  ));
+  while ($block.firstChild) $block.removeChild($block.firstChild);
+  $block.appendChild(blockGenerators[type](settings, style));
+  Array.from($block.querySelectorAll('a')).forEach(($link, i) => {
+    (linkData[i] || []).forEach(({ name, value }) => $link.setAttribute(name, value));
+  });
+  return $block;
+}
+
+/**
+ * syncBlockLink - Writes the URL and text of a link back into the settings of
+ *  the content block it's in, so they're kept when the block is rebuilt.
+ *
+ * @param {Element} $link The link, after it has been edited.
+ *
+ * @returns {Element|null} Returns the content block, or null if the link
+ *  isn't in one.
+ */
+export function syncBlockLink($link) {
+  const $block = $link.closest(`[${blockAttribute}]`);
+  if (!$block) return null;
+  const settings = getBlockSettings($block);
+  if (!settings) return $block;
+  const type = $block.getAttribute(blockAttribute);
+  if (type === 'button') {
+    settings.url = $link.getAttribute('href') || '';
+    settings.text = $link.textContent;
+  } else if (type === 'columns') {
+    settings.href = $link.getAttribute('href') || '';
+  }
+  $block.setAttribute(blockSettingsAttribute, JSON.stringify(settings));
+  return $block;
+}
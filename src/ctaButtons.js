@@ -0,0 +1,88 @@
+import { generateElement } from './lib.js';
+import { setOptOut } from './export/campaignTags.js';
+
+/*
+ * Call-to-action (CTA) buttons are the large buttons at the bottom of the
+ * email. They are stored, in order, in docInfo.links. Each one looks like:
+ *
+ * {
+ *   text: 'Apply Now',
+ *   url: 'https://...',
+ *   color: '#ffffff',
+ *   background: '#00253d',
+ *   tracking: true,
+ * }
+ *
+ * where tracking determines whether the button's link is tagged for the
+ * email's campaign when it's exported.
+ */
+
+export const defaultCTAColors = {
+  color: '#ffffff',
+  background: '#00253d',
+};
+
+export const defaultLinks = [
+  Object.assign({
+    text: 'Book a Free Advising Session',
+    url: 'https://internationalstudiesabroad.simplybook.me/sheduler/manage/event/29',
+    tracking: true,
+  }, defaultCTAColors),
+  Object.assign({
+    text: 'Apply Now',
+    url: 'https://studiesabroad.com/applyOnline.php',
+    tracking: true,
+  }, defaultCTAColors),
+];
+
+const ctaStyle = {
+  display: 'block',
+  border: '1px solid #ddd',
+  padding: '20px',
+  'text-align': 'center',
+  'font-family': "'Helvetica', sans-serif",
+  'font-size': '24px',
+  'text-decoration': 'none',
+};
+
+/**
+ * generateCTARow - Creates the table row containing a single CTA button.
+ *
+ * @param {object} link The CTA button to create.
+ * @param {boolean} [first=false] Whether this is the first button. The first
+ *  button is given extra space above it.
+ *
+ * @returns {Element} Returns the table row.
+ */
+export function generateCTARow(link, first = false) {
+  const $row = generateElement('tr');
+  const $cell = generateElement(
+    'td',
+    { style: { padding: first ? '20px 0' : '0 0 20px 0' } },
+  );
+  const style = Object.assign({}, ctaStyle, {
+    color: link.color,
+    background: link.background,
+  });
+  const $link = generateElement('a', { href: link.url, style, textContent: link.text });
+  setOptOut($link, link.tracking === false);
+  $cell.appendChild($link);
+  $row.appendChild($cell);
+  return $row;
+}
+
+/**
+ * renderCTAButtons - Replaces the contents of the given table body with the
+ *  given CTA buttons.
+ *
+ * @param {Element} $tbody The table body in which to render the buttons.
+ * @param {object[]} links The CTA buttons to render, in order.
+ *
+ * @returns {Element} Returns the table body.
+ */
+export function renderCTAButtons($tbody, links) {
+  const $target = $tbody;
+  $target.innerHTML = '';
+  links.forEach((link, i) => $target.appendChild(generateCTARow(link, i === 0)));
+  return $target;
+}
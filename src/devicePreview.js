@@ -0,0 +1,114 @@
+import { generateElement } from './lib.js';
+import { generateStandaloneHTML } from './export/documentExport.js';
+
+/*
+ * The devices the email can be previewed on. The preview renders the exported
+ * email, exactly as recipients get it, in a sandboxed iframe of the device's
+ * width.
+ */
+export const devices = {
+  editor: { name: 'Editor' },
+  desktop: { name: 'Desktop', width: 800 },
+  phone: { name: 'Phone (375px)', width: 375 },
+  smallPhone: { name: 'Small Phone (320px)', width: 320 },
+  dark: { name: 'Dark Mode (375px)', width: 375, dark: true },
+};
+
+// Imitates the mail clients which force dark mode on an email by inverting
+// its colors. Images are inverted back so they look as they normally do.
+const darkModeStyle = `
+  html { background: #121212; filter: invert(1) hue-rotate(180deg); }
+  img { filter: invert(1) hue-rotate(180deg); }
+`;
+
+// How long to wait after the last change before re-rendering the preview, in
+// ms.
+const refreshDelay = 300;
+
+const DevicePreview = {
+
+  /**
+   * init - Initialize the DevicePreview. The preview replaces the live editor
+   *  while a device other than the editor is selected.
+   *
+   * @param {Element} $editorView The element containing the live editor, which
+   *  is hidden during a preview.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {function} getEditorElement The function called to get the live
+   *  .wf__editor element.
+   *
+   * @returns {DevicePreview} Returns this DevicePreview.
+   */
+  init($editorView, getDocInfo, getEditorElement) {
+    this.$editorView = $editorView;
+    this.getDocInfo = getDocInfo;
+    this.getEditorElement = getEditorElement;
+    this.device = 'editor';
+    this.timeout = null;
+    this.$ctn = generateElement('div', { klasses: ['devicePreview', 'hide'] });
+    this.$frame = generateElement('iframe', {
+      klasses: ['devicePreview__frame'],
+      sandbox: '',
+      title: 'Email preview',
+    });
+    this.$ctn.appendChild(this.$frame);
+    this.$editorView.parentNode.insertBefore(this.$ctn, this.$editorView.nextSibling);
+    return this;
+  },
+
+  /**
+   * isActive - Determines if a device preview is being shown in place of the
+   *  editor.
+   *
+   * @returns {boolean} Returns true if a device is being previewed.
+   */
+  isActive() {
+    return this.device !== 'editor';
+  },
+
+  /**
+   * setDevice - Switches to the preview of the given device, or back to the
+   *  live editor.
+   *
+   * @param {string} device A key of devices.
+   *
+   * @returns {boolean} Returns true if a device is being previewed.
+   */
+  setDevice(device) {
+    this.device = devices[device] ? device : 'editor';
+    this.$editorView.classList.toggle('hide', this.isActive());
+    this.$ctn.classList.toggle('hide', !this.isActive());
+    this.refresh();
+    return this.isActive();
+  },
+
+  /**
+   * schedule - Schedules a refresh of the preview, eg. after an edit. Any
+   *  refresh already scheduled is pushed back so the email is only exported
+   *  once a burst of changes, eg. typing, is over.
+   *
+   */
+  schedule() {
+    if (this.timeout) clearTimeout(this.timeout);
+    if (this.isActive()) this.timeout = setTimeout(this.refresh.bind(this), refreshDelay);
+  },
+
+  /**
+   * refresh - Re-renders the preview with the current email. Does nothing
+   *  while the live editor is shown.
+   *
+   */
+  refresh() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    if (!this.isActive()) return;
+    const device = devices[this.device];
+    let html = generateStandaloneHTML(this.getDocInfo(), this.getEditorElement());
+    if (device.dark) html = html.replace('</head>', `<style>${darkModeStyle}</style></head>`);
+    this.$frame.style.width = `${device.width}px`;
+    this.$frame.srcdoc = html;
+  },
+};
+
+export default DevicePreview;
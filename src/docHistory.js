@@ -0,0 +1,161 @@
+const maxEntries = 100;
+const recordDelay = 500;
+
+/**
+ * DocHistory - An undo/redo history for the whole document. Each entry is a
+ *  serialized snapshot of the docInfo, so it covers the editor contents as well
+ *  as anything changed through the settings or by loading a file. Snapshots are
+ *  debounced so a burst of typing is undone in one step.
+ */
+const DocHistory = {
+
+  /**
+   * init - Initialize the DocHistory and record the current state of the
+   *  document as its first entry.
+   *
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current document.
+   * @param {function} restoreCallback The function called with a docInfo when
+   *  the user undoes or redoes a change.
+   * @param {function} [onChange] An optional function called whenever the
+   *  history changes, eg. to update the undo/redo buttons.
+   * @param {function} [onError] An optional function called with the Error
+   *  thrown when an entry can't be restored.
+   *
+   * @returns {DocHistory} Returns this DocHistory.
+   */
+  init(getDocInfo, restoreCallback, onChange = null, onError = null) {
+    this.getDocInfo = getDocInfo;
+    this.restoreCallback = restoreCallback;
+    this.onChange = onChange;
+    this.onError = onError;
+    this.entries = [];
+    this.index = -1;
+    this.timeout = null;
+    this.record();
+    return this;
+  },
+
+  /**
+   * serialize - Serializes the current document.
+   *
+   * @returns {string} Returns the docInfo as a JSON string.
+   */
+  serialize() {
+    return JSON.stringify(this.getDocInfo());
+  },
+
+  /**
+   * notify - Calls the onChange function, if there is one.
+   *
+   */
+  notify() {
+    if (this.onChange) this.onChange();
+  },
+
+  /**
+   * schedule - Schedules a snapshot of the current document. Any snapshot
+   *  already scheduled is pushed back.
+   *
+   */
+  schedule() {
+    if (this.timeout) clearTimeout(this.timeout);
+    this.timeout = setTimeout(this.record.bind(this), recordDelay);
+  },
+
+  /**
+   * flush - Immediately records a scheduled snapshot, if there is one.
+   *
+   */
+  flush() {
+    if (this.timeout) this.record();
+  },
+
+  /**
+   * record - Records a snapshot of the current document. If the document
+   *  hasn't changed since the current entry, nothing is recorded. Recording
+   *  after undoing discards the entries which could have been redone.
+   *
+   * @returns {boolean} Returns true if a new entry was recorded. Else false.
+   */
+  record() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    const snapshot = this.serialize();
+    if (snapshot === this.entries[this.index]) return false;
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.entries.push(snapshot);
+    if (this.entries.length > maxEntries) this.entries.shift();
+    this.index = this.entries.length - 1;
+    this.notify();
+    return true;
+  },
+
+  /**
+   * canUndo - Determines if there is an entry to undo to.
+   *
+   * @returns {boolean} Returns true if undo is possible.
+   */
+  canUndo() {
+    return this.index > 0;
+  },
+
+  /**
+   * canRedo - Determines if there is an entry to redo to.
+   *
+   * @returns {boolean} Returns true if redo is possible.
+   */
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  },
+
+  /**
+   * undo - Restores the document to the previous entry.
+   *
+   * @returns {boolean} Returns true if the document was restored. Else false.
+   */
+  undo() {
+    this.flush();
+    if (!this.canUndo()) return false;
+    return this.restore(this.index - 1);
+  },
+
+  /**
+   * redo - Restores the document to the next entry.
+   *
+   * @returns {boolean} Returns true if the document was restored. Else false.
+   */
+  redo() {
+    this.flush();
+    if (!this.canRedo()) return false;
+    return this.restore(this.index + 1);
+  },
+
+  /**
+   * restore - Passes an entry to the restoreCallback and makes it the current
+   *  entry. The entry is then replaced by a fresh snapshot so the changes made
+   *  by restoring it aren't recorded as a new entry. If the entry can't be
+   *  restored, the current entry stays as it was.
+   *
+   * @param {number} index The index of the entry to restore.
+   *
+   * @returns {boolean} Returns true if the entry was restored. Else false.
+   */
+  restore(index) {
+    try {
+      this.restoreCallback(JSON.parse(this.entries[index]));
+    } catch (err) {
+      if (this.onError) this.onError(err);
+      // Whatever was applied before the failure is kept as the current entry.
+      this.entries[this.index] = this.serialize();
+      this.notify();
+      return false;
+    }
+    this.index = index;
+    this.entries[this.index] = this.serialize();
+    this.notify();
+    return true;
+  },
+};
+
+export default DocHistory;
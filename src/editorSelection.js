@@ -0,0 +1,243 @@
+/*
+ * Remembers the user's last selection in the editor. Opening a modal moves the
+ * focus out of the editor, which loses the selection, so anything inserted
+ * from a modal is placed using the selection remembered here.
+ */
+
+/**
+ * toElement - Gets the element a node of a selection belongs to.
+ *
+ * @param {Node} node The node, eg. a text node.
+ *
+ * @returns {Element|null} Returns node if it's an element, else its parent.
+ */
+function toElement(node) {
+  if (!node) return null;
+  return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+}
+
+const EditorSelection = {
+
+  /**
+   * init - Initialize the EditorSelection and start tracking the selection.
+   *
+   * @param {function} getEditorElement The function called to get the live
+   *  .wf__editor element.
+   *
+   * @returns {EditorSelection} Returns this EditorSelection.
+   */
+  init(getEditorElement) {
+    this.getEditorElement = getEditorElement;
+    this.range = null;
+    document.addEventListener('selectionchange', this.selectionHandler.bind(this));
+    return this;
+  },
+
+  /**
+   * contains - Determines if a node is part of the document in the editor, as
+   *  opposed to its toolbars or the rest of the page.
+   *
+   * @param {Node} node The node to check.
+   *
+   * @returns {boolean} Returns true if the node is in the editor.
+   */
+  contains(node) {
+    const $editor = this.getEditorElement();
+    return Boolean($editor && node && $editor !== node && $editor.contains(node));
+  },
+
+  /**
+   * selectionHandler - Remembers the selection whenever it changes within the
+   *  editor. Selections elsewhere are ignored.
+   *
+   */
+  selectionHandler() {
+    const sel = window.getSelection();
+    if (sel.rangeCount === 0) return;
+    const range = sel.getRangeAt(0);
+    if (this.contains(range.startContainer) && this.contains(range.endContainer)) {
+      this.range = range.cloneRange();
+    }
+  },
+
+  /**
+   * getRange - Gets the remembered selection, as long as it's still in the
+   *  editor. Loading an email replaces the editor's contents, for example.
+   *
+   * @returns {Range|null} Returns the selection, or null if there isn't one.
+   */
+  getRange() {
+    if (!this.range) return null;
+    const { startContainer, endContainer } = this.range;
+    // A selection of several sections has the editor itself as its ancestor.
+    if (!this.contains(startContainer) || !this.contains(endContainer)) return null;
+    return this.range;
+  },
+
+  /**
+   * getBlock - Gets the section of the editor a node is in.
+   *
+   * @param {Node} node The node.
+   *
+   * @returns {Element|null} Returns the paragraph, heading or container.
+   */
+  getBlock(node) {
+    const $editor = this.getEditorElement();
+    let $el = toElement(node);
+    while ($el && $el.parentElement !== $editor) $el = $el.parentElement;
+    return $el;
+  },
+
+  /**
+   * isWithinBlock - Determines if the selection is within a single section of
+   *  the editor. Links can't span several paragraphs.
+   *
+   * @returns {boolean} Returns true if there's a selection within one section.
+   */
+  isWithinBlock() {
+    const range = this.getRange();
+    if (!range) return false;
+    return this.getBlock(range.startContainer) === this.getBlock(range.endContainer);
+  },
+
+  /**
+   * getText - Gets the selected text.
+   *
+   * @returns {string} Returns the text, or an empty string.
+   */
+  getText() {
+    const range = this.getRange();
+    return range ? range.toString() : '';
+  },
+
+  /**
+   * getLink - Gets the link the selection is in, if any.
+   *
+   * @returns {Element|null} Returns the link.
+   */
+  getLink() {
+    const range = this.getRange();
+    if (!range) return null;
+    const $link = toElement(range.commonAncestorContainer).closest('a');
+    return $link && this.contains($link) ? $link : null;
+  },
+
+  /**
+   * getContents - Copies the selected part of the email.
+   *
+   * @returns {object|null} Returns { $contents, inline } where $contents is a
+   *  DocumentFragment and inline is true if the selection is within a single
+   *  section, in which case $contents holds inline content, eg. text and
+   *  links. Otherwise $contents holds the selected sections, cut short where
+   *  the selection starts and ends. Returns null if nothing is selected.
+   */
+  getContents() {
+    const range = this.getRange();
+    if (!range || range.collapsed) return null;
+    return { $contents: range.cloneContents(), inline: this.isWithinBlock() };
+  },
+
+  /**
+   * restore - Selects the remembered selection again.
+   *
+   * @param {Range} [range] A range to select instead, which is then
+   *  remembered.
+   *
+   */
+  restore(range = this.getRange()) {
+    if (!range) return;
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    this.range = range.cloneRange();
+  },
+
+  /**
+   * insertNode - Replaces the selection with a node, eg. a merge tag. The
+   *  caret is left after the node.
+   *
+   * @param {Node} $node The node to insert. A DocumentFragment inserts its
+   *  children, leaving the caret after the last of them.
+   *
+   * @returns {Node|null} Returns the node, or null if there is no selection
+   *  within a single section of the editor or the node is an empty fragment.
+   */
+  insertNode($node) {
+    if (!this.isWithinBlock()) return null;
+    const $last = $node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? $node.lastChild : $node;
+    if (!$last) return null;
+    const range = this.getRange();
+    range.deleteContents();
+    range.insertNode($node);
+    const after = document.createRange();
+    after.setStartAfter($last);
+    after.collapse(true);
+    this.restore(after);
+    return $node;
+  },
+
+  /**
+   * insertSections - Inserts sections, eg. a content block, at the selection.
+   *  Like WriteFree's images, sections inserted on an empty line go above it,
+   *  leaving the caret on the line. Otherwise they go below the section the
+   *  selection is in.
+   *
+   * @param {Element[]} sections The sections to insert, in order.
+   * @param {Element} $paragraph An empty paragraph, added after the sections if
+   *  nothing follows them so there's somewhere to carry on typing.
+   *
+   * @returns {Element[]|null} Returns the sections, or null if there is no
+   *  selection in the editor.
+   */
+  insertSections(sections, $paragraph) {
+    const range = this.getRange();
+    if (!range || sections.length === 0) return null;
+    const $current = this.getBlock(range.startContainer);
+    if (!$current) return null;
+    const isEmptyLine = $current.classList.contains('wf__text-section')
+      && $current.textContent.trim() === '';
+    const $next = isEmptyLine ? $current : $current.nextSibling;
+    sections.forEach($section => $current.parentNode.insertBefore($section, $next));
+    if (isEmptyLine) return sections;
+    const $last = sections[sections.length - 1];
+    if (!$last.nextSibling) $last.parentNode.appendChild($paragraph);
+    const after = document.createRange();
+    after.selectNodeContents($last.nextSibling);
+    after.collapse(true);
+    this.restore(after);
+    return sections;
+  },
+
+  /**
+   * insertLink - Turns the selection into a link. If nothing is selected, a
+   *  link containing the given text is inserted at the caret instead. The
+   *  caret is left after the link.
+   *
+   * @param {string} href The URL of the link.
+   * @param {string} text The text of the link if nothing is selected.
+   *
+   * @returns {Element|null} Returns the new link, or null if there is no
+   *  selection within a single section of the editor.
+   */
+  insertLink(href, text) {
+    if (!this.isWithinBlock()) return null;
+    const range = this.getRange();
+    const $link = document.createElement('a');
+    $link.setAttribute('href', href);
+    if (range.collapsed) {
+      $link.textContent = text;
+    } else {
+      // Unlike surroundContents, this works when the selection starts or ends
+      // part way through formatting, eg. half of a bold word.
+      $link.appendChild(range.extractContents());
+      // Links can't be nested, so any link which was selected is replaced.
+      Array.from($link.querySelectorAll('a')).forEach(($inner) => {
+        while ($inner.firstChild) $inner.parentNode.insertBefore($inner.firstChild, $inner);
+        $inner.parentNode.removeChild($inner);
+      });
+    }
+    return this.insertNode($link);
+  },
+};
+
+export default EditorSelection;
@@ -0,0 +1,42 @@
+// Inline styles applied by the WriteFree editor to each part of the email.
+
+export const containerStyle = {
+  'box-sizing': 'border-box',
+  padding: '20px 5px',
+  width: '600px',
+};
+
+export const largeHeadingStyle = {
+  'font-family': "'Helvetica', sans-serif",
+  'font-weight': 'normal',
+  'font-size': '24px',
+  color: '#333',
+  'padding-left': '10px',
+  'padding-right': '10px',
+};
+
+export const smallHeadingStyle = {
+  'font-family': "'Helvetica', sans-serif",
+  'font-weight': 'normal',
+  'font-size': '20px',
+  color: '#888',
+  'padding-left': '10px',
+  'padding-right': '10px',
+};
+
+export const imgStyle = {
+  'max-width': '100%',
+  'text-align': 'center',
+  margin: '1em auto',
+};
+
+export const sectionStyle = {
+  overflow: 'hidden',
+  width: '100%',
+  'padding-left': '10px',
+  'padding-right': '10px',
+  'box-sizing': 'border-box',
+  'font-family': 'Times',
+  'font-size': '16px',
+  'line-height': '1.25em',
+};
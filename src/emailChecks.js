@@ -0,0 +1,319 @@
+import { exportEmail } from './export/emailExport.js';
+import { getLinkScheme, parseLink } from './lib.js';
+import { findMergeTag, findUsedMergeTags, formatPlaceholder } from './mergeTags.js';
+
+/*
+ * Checks run on an email before it's sent. Each problem found is reported as
+ *
+ * { level: 'error' | 'warning', message: '...', $target: Element }
+ *
+ * where $target is the element in the page the problem concerns, so the user
+ * can be taken straight to it.
+ */
+
+// Gmail hides the rest of any email whose HTML is larger than this.
+const gmailClipSize = 102 * 1024;
+const maxWords = 500;
+// WCAG AA contrast ratios for body text and for large text such as headings.
+const minContrast = 4.5;
+const minLargeContrast = 3;
+const defaultBackground = [255, 255, 255];
+
+/**
+ * createIssue - Creates a problem to report.
+ *
+ * @param {string} level Either 'error' or 'warning'.
+ * @param {string} message A description of the problem.
+ * @param {Element} [$target=null] The element with the problem.
+ *
+ * @returns {object} Returns the problem.
+ */
+function createIssue(level, message, $target = null) {
+  return { level, message, $target };
+}
+
+/**
+ * describeText - Shortens text for use in a message.
+ *
+ * @param {string} text The text to describe.
+ *
+ * @returns {string} Returns the text, quoted and cut to a reasonable length.
+ */
+function describeText(text) {
+  const trimmed = text.trim().replace(/\s+/g, ' ');
+  return trimmed.length > 40 ? `"${trimmed.slice(0, 37)}..."` : `"${trimmed}"`;
+}
+
+/**
+ * findURLProblem - Looks for problems with the URL of a link. Unlike the
+ *  links entered in the settings, links in the editor aren't normalized so
+ *  a missing scheme breaks them.
+ *
+ * @param {string} url The URL to check.
+ *
+ * @returns {object|null} Returns { level, reason } describing the problem, or
+ *  null if the URL looks fine.
+ */
+function findURLProblem(url) {
+  const trimmed = (url || '').trim();
+  if (!trimmed) return { level: 'error', reason: 'has no URL' };
+  if (!getLinkScheme(trimmed)) {
+    return { level: 'error', reason: `is missing https:// at the start of its URL (${trimmed})` };
+  }
+  const link = parseLink(trimmed);
+  if (!link.valid) {
+    return { level: 'error', reason: `has a URL which doesn't look right (${trimmed}). ${link.error.replace(/\.$/, '')}` };
+  }
+  if (getLinkScheme(trimmed) === 'http:') {
+    return { level: 'warning', reason: `isn't secure. Use https:// instead of http:// (${trimmed})` };
+  }
+  return null;
+}
+
+/**
+ * checkLinks - Checks the links in the editor and the CTA buttons.
+ *
+ * @param {Element} $editor The live .wf__editor element.
+ * @param {object[]} links The CTA buttons of the email.
+ * @param {Element} $ctaButtons The element in which the CTA buttons are
+ *  rendered.
+ *
+ * @returns {object[]} Returns the problems found.
+ */
+function checkLinks($editor, links, $ctaButtons) {
+  const issues = [];
+  Array.from($editor.querySelectorAll('a')).forEach(($link) => {
+    const problem = findURLProblem($link.getAttribute('href'));
+    if (problem) {
+      const text = $link.textContent.trim() ? describeText($link.textContent) : 'without text';
+      issues.push(createIssue(problem.level, `The link ${text} ${problem.reason}.`, $link));
+    }
+  });
+  const $buttons = $ctaButtons.querySelectorAll('a');
+  links.forEach((link, i) => {
+    const problem = findURLProblem(link.url);
+    if (problem) {
+      issues.push(createIssue(
+        problem.level,
+        `The button ${describeText(link.text)} ${problem.reason}.`,
+        $buttons[i] || null,
+      ));
+    }
+  });
+  return issues;
+}
+
+/**
+ * checkImages - Checks that every image has alt text, which is shown when
+ *  images are blocked and read aloud by screen readers.
+ *
+ * @param {Element} $editor The live .wf__editor element.
+ *
+ * @returns {object[]} Returns the problems found.
+ */
+function checkImages($editor) {
+  return Array.from($editor.querySelectorAll('img'))
+    .filter($img => !($img.getAttribute('alt') || '').trim())
+    .map($img => createIssue('error', 'An image has no alt text.', $img));
+}
+
+/**
+ * checkMergeTags - Checks that every merge tag, including placeholders typed
+ *  by hand, is one GRS can fill in.
+ *
+ * @param {Element} $editor The live .wf__editor element.
+ *
+ * @returns {object[]} Returns the problems found.
+ */
+function checkMergeTags($editor) {
+  return findUsedMergeTags($editor)
+    .filter(({ key }) => !findMergeTag(key))
+    .map(({ key, $el }) => createIssue(
+      'error',
+      `The merge tag ${formatPlaceholder(key)} isn't one GRS can fill in. Insert merge tags with the Merge Tags button.`,
+      $el,
+    ));
+}
+
+/**
+ * checkHeadings - Checks that heading levels aren't skipped, eg. a large
+ *  heading followed directly by a level 3 heading.
+ *
+ * @param {Element} $editor The live .wf__editor element.
+ *
+ * @returns {object[]} Returns the problems found.
+ */
+function checkHeadings($editor) {
+  const issues = [];
+  let previousLevel = 0;
+  Array.from($editor.querySelectorAll('h1, h2, h3, h4, h5, h6')).forEach(($heading) => {
+    const level = Number($heading.tagName[1]);
+    if (previousLevel && level > previousLevel + 1) {
+      issues.push(createIssue(
+        'warning',
+        `The heading ${describeText($heading.textContent)} skips from level ${previousLevel} to level ${level}.`,
+        $heading,
+      ));
+    }
+    previousLevel = level;
+  });
+  return issues;
+}
+
+/**
+ * checkLength - Checks that the email isn't too long to read or so large Gmail
+ *  will clip it.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ * @param {Element} $editor The live .wf__editor element.
+ *
+ * @returns {object[]} Returns the problems found.
+ */
+function checkLength(docInfo, $editor) {
+  const issues = [];
+  const words = $editor.textContent.split(/\s+/).filter(word => word.length > 0).length;
+  if (words > maxWords) {
+    issues.push(createIssue(
+      'warning',
+      `The email is ${words} words long. Emails over ${maxWords} words are rarely read to the end.`,
+      $editor.lastElementChild,
+    ));
+  }
+  const { size } = new Blob([exportEmail(docInfo, $editor)]);
+  if (size > gmailClipSize) {
+    issues.push(createIssue(
+      'error',
+      `The email's code is ${Math.ceil(size / 1024)}KB. Gmail cuts off emails over 102KB.`,
+    ));
+  }
+  return issues;
+}
+
+/**
+ * parseColor - Parses a CSS color.
+ *
+ * @param {string} color A hex or rgb()/rgba() color.
+ *
+ * @returns {number[]|null} Returns [r, g, b], or null if the color couldn't be
+ *  parsed or is transparent.
+ */
+function parseColor(color) {
+  const value = (color || '').trim().toLowerCase();
+  let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (match) {
+    let hex = match[1];
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+  match = value.match(/^rgba?\(([^)]+)\)$/);
+  if (match) {
+    const parts = match[1].split(',').map(part => parseFloat(part));
+    if (parts.length === 4 && parts[3] === 0) return null;
+    return parts.slice(0, 3);
+  }
+  return null;
+}
+
+/**
+ * getContrast - Calculates the WCAG contrast ratio of two colors.
+ *
+ * @param {number[]} colorA An [r, g, b] color.
+ * @param {number[]} colorB An [r, g, b] color.
+ *
+ * @returns {number} Returns the ratio, from 1 to 21.
+ */
+function getContrast(colorA, colorB) {
+  const luminance = (rgb) => {
+    const [r, g, b] = rgb.map((channel) => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return (0.2126 * r) + (0.7152 * g) + (0.0722 * b);
+  };
+  const [lighter, darker] = [luminance(colorA), luminance(colorB)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * getBackground - Finds the inline background color behind an element.
+ *
+ * @param {Element} $el The element.
+ * @param {Element} $editor The editor containing it. The search stops here.
+ *
+ * @returns {number[]} Returns the [r, g, b] background, white if none is set.
+ */
+function getBackground($el, $editor) {
+  let $current = $el;
+  while ($current && $current !== $editor.parentNode) {
+    const background = parseColor($current.style.backgroundColor);
+    if (background) return background;
+    $current = $current.parentElement;
+  }
+  return defaultBackground;
+}
+
+/**
+ * checkContrast - Checks that text colored with inline styles, including the
+ *  CTA buttons, stands out from its background.
+ *
+ * @param {Element} $editor The live .wf__editor element.
+ * @param {object[]} links The CTA buttons of the email.
+ * @param {Element} $ctaButtons The element in which the CTA buttons are
+ *  rendered.
+ *
+ * @returns {object[]} Returns the problems found.
+ */
+function checkContrast($editor, links, $ctaButtons) {
+  const issues = [];
+  Array.from($editor.querySelectorAll('[style]')).forEach(($el) => {
+    const color = parseColor($el.style.color);
+    if (!color || !$el.textContent.trim()) return;
+    const isHeading = /^H[1-6]$/.test($el.tagName);
+    const ratio = getContrast(color, getBackground($el, $editor));
+    if (ratio < (isHeading ? minLargeContrast : minContrast)) {
+      issues.push(createIssue(
+        'warning',
+        `The text ${describeText($el.textContent)} is hard to read against its background (contrast ${ratio.toFixed(1)}:1).`,
+        $el,
+      ));
+    }
+  });
+  const $buttons = $ctaButtons.querySelectorAll('a');
+  links.forEach((link, i) => {
+    const color = parseColor(link.color);
+    const background = parseColor(link.background);
+    if (!color || !background) return;
+    const ratio = getContrast(color, background);
+    if (ratio < minLargeContrast) {
+      issues.push(createIssue(
+        'warning',
+        `The button ${describeText(link.text)} is hard to read against its background (contrast ${ratio.toFixed(1)}:1).`,
+        $buttons[i] || null,
+      ));
+    }
+  });
+  return issues;
+}
+
+/**
+ * checkEmail - Runs every check on an email.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ * @param {Element} $editor The live .wf__editor element.
+ * @param {Element} $ctaButtons The element in which the CTA buttons are
+ *  rendered.
+ *
+ * @returns {object[]} Returns the problems found, errors first.
+ */
+export default function checkEmail(docInfo, $editor, $ctaButtons) {
+  const issues = [].concat(
+    checkImages($editor),
+    checkLinks($editor, docInfo.links, $ctaButtons),
+    checkMergeTags($editor),
+    checkHeadings($editor),
+    checkContrast($editor, docInfo.links, $ctaButtons),
+    checkLength(docInfo, $editor),
+  );
+  return issues.filter(issue => issue.level === 'error')
+    .concat(issues.filter(issue => issue.level === 'warning'));
+}
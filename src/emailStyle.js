@@ -0,0 +1,203 @@
+import {
+  addStyleFromObj,
+  generateElement,
+  isNonEmptyString,
+  isObject,
+} from './lib.js';
+import { isContentBlock, restyleBlock } from './contentBlocks.js';
+import { sectionStyle } from './editorStyles.js';
+
+/*
+ * The look of an email's text, stored in docInfo.style and edited in the
+ * Design section of the Settings:
+ *
+ * {
+ *   headingFont: "'Helvetica', sans-serif",
+ *   bodyFont: 'Times',
+ *   largeHeadingSize: 24,
+ *   smallHeadingSize: 20,
+ *   bodySize: 16,
+ *   lineHeight: 1.25,
+ *   largeHeadingColor: '#333333',
+ *   smallHeadingColor: '#888888',
+ *   bodyColor: '#000000',
+ *   linkColor: '#0000ee',
+ * }
+ *
+ * Sizes are in pixels and the line height is a multiple of the text size.
+ * Colors are six digit hex colors, as the Settings color pickers require. The
+ * styles are written inline on each heading and paragraph, so they're part of
+ * the copied code. Links are given the link color when they're exported.
+ */
+
+// The editor's original look. See editorStyles.js.
+export const defaultStyle = {
+  headingFont: "'Helvetica', sans-serif",
+  bodyFont: 'Times',
+  largeHeadingSize: 24,
+  smallHeadingSize: 20,
+  bodySize: 16,
+  lineHeight: 1.25,
+  largeHeadingColor: '#333333',
+  smallHeadingColor: '#888888',
+  bodyColor: '#000000',
+  linkColor: '#0000ee',
+};
+
+// Fonts most email clients can display. Single quotes are used so the fonts
+// can be written into a style attribute.
+export const fontOptions = [
+  { value: "'Helvetica', sans-serif", text: 'Helvetica' },
+  { value: 'Arial, Helvetica, sans-serif', text: 'Arial' },
+  { value: 'Verdana, Geneva, sans-serif', text: 'Verdana' },
+  { value: "'Trebuchet MS', Helvetica, sans-serif", text: 'Trebuchet MS' },
+  { value: 'Times', text: 'Times' },
+  { value: 'Georgia, serif', text: 'Georgia' },
+  { value: "'Courier New', Courier, monospace", text: 'Courier New' },
+];
+
+const fontKeys = ['headingFont', 'bodyFont'];
+const sizeKeys = ['largeHeadingSize', 'smallHeadingSize', 'bodySize', 'lineHeight'];
+const colorKeys = ['largeHeadingColor', 'smallHeadingColor', 'bodyColor', 'linkColor'];
+
+const hexColorPattern = /^#[0-9a-f]{6}$/i;
+
+/**
+ * toHexColor - Converts a hex color to six digits, eg. '#333' to '#333333'.
+ *
+ * @param {string} color The color.
+ *
+ * @returns {string|null} Returns the six digit color in lower case, or null
+ *  if the color isn't a hex color.
+ */
+function toHexColor(color) {
+  const match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+  const hex = match ? `#${match[1]}${match[1]}${match[2]}${match[2]}${match[3]}${match[3]}` : color;
+  return hexColorPattern.test(hex) ? hex.toLowerCase() : null;
+}
+
+/**
+ * validateStyle - Validates the style of an email.
+ *
+ * @param {*} style The style to validate.
+ *
+ * @returns {string[]} Returns an array of the problems found.
+ */
+export function validateStyle(style) {
+  if (!isObject(style)) return ['The email has no design settings.'];
+  const errors = [];
+  if (!fontKeys.every(key => isNonEmptyString(style[key]))) {
+    errors.push('The email\'s design has no heading and body fonts.');
+  }
+  if (!sizeKeys.every(key => typeof style[key] === 'number' && style[key] > 0)) {
+    errors.push('The email\'s design is missing some of its text sizes.');
+  }
+  if (!colorKeys.every(key => hexColorPattern.test(style[key]))) {
+    errors.push('The email\'s design colors must be hex colors, eg. #333333.');
+  }
+  return errors;
+}
+
+/**
+ * styleFromBrand - Gives a style the fonts and heading colors of a brand.
+ *  Sizes and the other colors are kept.
+ *
+ * @param {object} style The style, ie. docInfo.style.
+ * @param {object} brand The brand.
+ *
+ * @returns {object} Returns the new style. Heading colors which aren't hex
+ *  colors are left as they were.
+ */
+export function styleFromBrand(style, brand) {
+  return Object.assign({}, style, {
+    headingFont: brand.fonts.heading,
+    bodyFont: brand.fonts.body,
+    largeHeadingColor: toHexColor(brand.headingColors.large) || style.largeHeadingColor,
+    smallHeadingColor: toHexColor(brand.headingColors.small) || style.smallHeadingColor,
+  });
+}
+
+/**
+ * getSectionStyles - Gets the inline styles a style gives the sections of the
+ *  editor.
+ *
+ * @param {object} style The style.
+ *
+ * @returns {object} Returns the styles to add to the large headings, small
+ *  headings and text sections: { largeHeading, smallHeading, section }.
+ */
+export function getSectionStyles(style) {
+  return {
+    largeHeading: {
+      'font-family': style.headingFont,
+      'font-size': `${style.largeHeadingSize}px`,
+      color: style.largeHeadingColor,
+    },
+    smallHeading: {
+      'font-family': style.headingFont,
+      'font-size': `${style.smallHeadingSize}px`,
+      color: style.smallHeadingColor,
+    },
+    section: {
+      'font-family': style.bodyFont,
+      'font-size': `${style.bodySize}px`,
+      'line-height': `${style.lineHeight}em`,
+      color: style.bodyColor,
+    },
+  };
+}
+
+/**
+ * restyleSection - Gives a section of the editor a style. Content blocks are
+ *  rebuilt in the style.
+ *
+ * @param {Element} $block The section, eg. a paragraph.
+ * @param {object} style The style.
+ *
+ * @returns {Element} Returns $block.
+ */
+export function restyleSection($block, style) {
+  const styles = getSectionStyles(style);
+  if ($block.tagName === 'H1') {
+    addStyleFromObj($block, styles.largeHeading);
+  } else if ($block.tagName === 'H2') {
+    addStyleFromObj($block, styles.smallHeading);
+  } else if ($block.classList.contains('wf__text-section')) {
+    addStyleFromObj($block, styles.section);
+  } else if (isContentBlock($block)) {
+    restyleBlock($block, style);
+  }
+  return $block;
+}
+
+/**
+ * restyleContents - Gives the sections of an email a style. See
+ *  restyleSection.
+ *
+ * @param {string} contents The editor HTML of the email, ie. docInfo.contents.
+ * @param {object} style The style.
+ *
+ * @returns {string} Returns the restyled editor HTML.
+ */
+export function restyleContents(contents, style) {
+  const html = new DOMParser().parseFromString(contents, 'text/html');
+  const $editor = html.body.firstElementChild;
+  Array.from($editor.children).forEach($block => restyleSection($block, style));
+  return $editor.outerHTML;
+}
+
+/**
+ * generateTextSection - Creates an empty paragraph like those the editor
+ *  creates, in a style.
+ *
+ * @param {object} style The style.
+ *
+ * @returns {Element} Returns the paragraph.
+ */
+export function generateTextSection(style) {
+  return generateElement('p', {
+    klasses: ['wf__text-section'],
+    style: Object.assign({}, sectionStyle, getSectionStyles(style).section),
+    innerHTML: '<br>',
+  });
+}
@@ -0,0 +1,158 @@
+/*
+ * Google Analytics campaign (UTM) tagging. When an email is exported, every
+ * http(s) link in it is given the campaign parameters set in docInfo.campaign:
+ *
+ * { enabled: true, source: 'InsideISA', medium: 'email', name: 'Spain Summer 2019' }
+ *
+ * plus a utm_content parameter identifying the link itself, so marketing can
+ * tell which link in the email was clicked. Parameters already written into a
+ * URL by hand are kept. Links marked with optOutAttribute are left alone.
+ */
+
+export const defaultCampaign = {
+  enabled: true,
+  source: 'InsideISA',
+  medium: 'email',
+  name: '',
+};
+
+// Links with this attribute set to 'off' aren't tagged. The attribute itself
+// is removed from the exported email.
+export const optOutAttribute = 'data-utm';
+const optOutValue = 'off';
+
+// The longest utm_content derived from the text of a link.
+const maxContentLength = 40;
+
+/**
+ * isOptedOut - Determines if a link has been excluded from campaign tagging.
+ *
+ * @param {Element} $link The link.
+ *
+ * @returns {boolean} Returns true if the link shouldn't be tagged.
+ */
+export function isOptedOut($link) {
+  return $link.getAttribute(optOutAttribute) === optOutValue;
+}
+
+/**
+ * setOptOut - Excludes a link from, or includes it in, campaign tagging.
+ *
+ * @param {Element} $link The link.
+ * @param {boolean} optOut Whether the link should be excluded.
+ *
+ * @returns {Element} Returns the link.
+ */
+export function setOptOut($link, optOut) {
+  if (optOut) {
+    $link.setAttribute(optOutAttribute, optOutValue);
+  } else {
+    $link.removeAttribute(optOutAttribute);
+  }
+  return $link;
+}
+
+/**
+ * getLinkLabel - Gets the label of a link: its text or, for a linked image,
+ *  the image's alt text.
+ *
+ * @param {Element} $link The link.
+ *
+ * @returns {string} Returns the label, or an empty string if it has none.
+ */
+function getLinkLabel($link) {
+  const text = $link.textContent.trim();
+  if (text) return text;
+  const $img = $link.querySelector('img');
+  return $img ? ($img.getAttribute('alt') || '').trim() : '';
+}
+
+/**
+ * generateContent - Derives the utm_content of a link from its label, eg.
+ *  "Apply Now" becomes "apply_now". Links without a usable label are
+ *  identified by their position in the email instead.
+ *
+ * @param {string} label The label of the link.
+ * @param {number} position The position of the link in the email, from 1.
+ *
+ * @returns {string} Returns the utm_content.
+ */
+export function generateContent(label, position) {
+  const slug = label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .slice(0, maxContentLength)
+    .replace(/^_+|_+$/g, '');
+  return slug || `link_${position}`;
+}
+
+/**
+ * isCampaignActive - Determines if links should be tagged for a campaign.
+ *
+ * @param {object} campaign The docInfo.campaign of an email.
+ *
+ * @returns {boolean} Returns true if tagging is enabled and has a source.
+ */
+function isCampaignActive(campaign) {
+  return Boolean(campaign && campaign.enabled && campaign.source.trim());
+}
+
+/**
+ * tagURL - Adds the campaign parameters to a URL. Only http(s) URLs are
+ *  tagged and any utm_* parameter already in the URL is kept. The parameters
+ *  are appended to the URL as written, so the rest of it, eg. a hand-written
+ *  query string, is left exactly as it was.
+ *
+ * @param {string} url The URL to tag.
+ * @param {object} campaign The docInfo.campaign of the email.
+ * @param {string} content The utm_content of the link.
+ *
+ * @returns {string} Returns the tagged URL, or url unchanged if it can't be
+ *  tagged.
+ */
+export function tagURL(url, campaign, content) {
+  if (!isCampaignActive(campaign)) return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (exc) {
+    return url;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return url;
+  const params = {
+    utm_source: campaign.source,
+    utm_medium: campaign.medium,
+    utm_campaign: campaign.name,
+    utm_content: content,
+  };
+  const pairs = Object.keys(params)
+    .filter(key => params[key].trim() && !parsed.searchParams.has(key))
+    .map(key => `${key}=${encodeURIComponent(params[key].trim())}`);
+  if (pairs.length === 0) return url;
+  const hashIndex = url.indexOf('#');
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  let separator = '?';
+  if (base.includes('?')) separator = /[?&]$/.test(base) ? '' : '&';
+  return `${base}${separator}${pairs.join('&')}${hash}`;
+}
+
+/**
+ * tagLinks - Tags the given links for a campaign, in place. Every link loses
+ *  its opt-out attribute, whether or not it's tagged.
+ *
+ * @param {Element[]} $links The links of the email, in the order they appear.
+ * @param {object} campaign The docInfo.campaign of the email.
+ *
+ * @returns {Element[]} Returns the links.
+ */
+export function tagLinks($links, campaign) {
+  $links.forEach(($link, i) => {
+    const href = $link.getAttribute('href');
+    if (href && !isOptedOut($link)) {
+      $link.setAttribute('href', tagURL(href, campaign, generateContent(getLinkLabel($link), i + 1)));
+    }
+    $link.removeAttribute(optOutAttribute);
+  });
+  return $links;
+}
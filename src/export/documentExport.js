@@ -0,0 +1,270 @@
+import { exportEmail, emailWidth } from './emailExport.js';
+import generatePlainText from './plainText.js';
+import { generateFooter } from '../footer.js';
+
+/*
+ * Complete files built around the exported email: a standalone web page and
+ * an RFC 5322 .eml message. Both include the same header and footer as the
+ * email preview in index.html, so they look like the email recipients get.
+ * The footer is generated from the email's footer settings, and is only added
+ * once if it's already part of the copied code.
+ */
+
+const lineBreak = '\r\n';
+// Base64 lines in a message may be at most 76 characters long.
+const base64LineLength = 76;
+// Characters per RFC 2047 encoded-word, keeping each word under 75 characters.
+const encodedWordLength = 30;
+// Header lines should be at most 78 characters long. Longer ones are folded.
+const headerLineLength = 78;
+// A display name made of these characters (RFC 5322 atext and spaces) can be
+// used as it is. Any other name is quoted.
+const plainNamePattern = /^[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~ ]+$/;
+
+/**
+ * escapeHTML - Escapes text for use in HTML.
+ *
+ * @param {string} text The text to escape.
+ *
+ * @returns {string} Returns the escaped text.
+ */
+export function escapeHTML(text) {
+  const $el = document.createElement('div');
+  $el.textContent = text;
+  return $el.innerHTML;
+}
+
+/**
+ * getSubject - Gets the subject line of an email.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ *
+ * @returns {string} Returns the subject, or the title if the email has no
+ *  subject yet.
+ */
+function getSubject(docInfo) {
+  return docInfo.subject || docInfo.title;
+}
+
+/**
+ * getPageSection - Gets the HTML of part of the email preview in index.html,
+ *  eg. the header.
+ *
+ * @param {string} id The id of the element to get.
+ *
+ * @returns {string} Returns the outer HTML of the element without the
+ *  elements which don't belong in an email body. Returns an empty string if
+ *  the element doesn't exist.
+ */
+function getPageSection(id) {
+  const $section = document.getElementById(id);
+  if (!$section) return '';
+  const $copy = $section.cloneNode(true);
+  $copy.removeAttribute('id');
+  Array.from($copy.querySelectorAll('meta, script, style')).forEach(($el) => {
+    $el.parentNode.removeChild($el);
+  });
+  return $copy.outerHTML;
+}
+
+/**
+ * generateStandaloneHTML - Creates a complete HTML document containing the
+ *  email along with its header and footer.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ * @param {Element} [$editor=null] The live .wf__editor element. See
+ *  generateEmailTable.
+ *
+ * @returns {string} Returns the HTML document.
+ */
+export function generateStandaloneHTML(docInfo, $editor = null) {
+  const sections = [getPageSection('emailHeader'), exportEmail(docInfo, $editor)];
+  if (!docInfo.copyFooter) {
+    sections.push(generateFooter(docInfo.footer, docInfo.brand.cta).outerHTML);
+  }
+  const rows = sections.map(html => `<tr><td>${html}</td></tr>`);
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta http-equiv="Content-Type" content="text/html; charset=utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHTML(getSubject(docInfo))}</title>`,
+    '</head>',
+    '<body style="margin: 0; padding: 0; background: #ffffff;">',
+    '<table role="presentation" width="100%" border="0" cellpadding="0" cellspacing="0"><tbody><tr><td align="center">',
+    `<table role="presentation" align="center" width="${emailWidth}" border="0" cellpadding="0" cellspacing="0" style="width: ${emailWidth}px; font-family: Helvetica, Arial, sans-serif; color: #333333; font-size: 16px;"><tbody>`,
+    rows.join('\n'),
+    '</tbody></table>',
+    '</td></tr></tbody></table>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * encodeBase64 - Base64 encodes text as UTF-8.
+ *
+ * @param {string} text The text to encode.
+ *
+ * @returns {string} Returns the encoded text.
+ */
+function encodeBase64(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * encodeBody - Base64 encodes the body of a message part, split into lines.
+ *
+ * @param {string} text The body to encode.
+ *
+ * @returns {string} Returns the encoded body.
+ */
+function encodeBody(text) {
+  const encoded = encodeBase64(text);
+  const lines = [];
+  for (let i = 0; i < encoded.length; i += base64LineLength) {
+    lines.push(encoded.slice(i, i + base64LineLength));
+  }
+  return lines.join(lineBreak);
+}
+
+/**
+ * encodeHeader - Encodes the value of a header as RFC 2047 encoded-words if
+ *  it contains anything other than printable ASCII.
+ *
+ * @param {string} text The value to encode.
+ *
+ * @returns {string} Returns the encoded value.
+ */
+function encodeHeader(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const chars = Array.from(text);
+  const words = [];
+  for (let i = 0; i < chars.length; i += encodedWordLength) {
+    const word = chars.slice(i, i + encodedWordLength).join('');
+    words.push(`=?UTF-8?B?${encodeBase64(word)}?=`);
+  }
+  return words.join(`${lineBreak} `);
+}
+
+/**
+ * foldLine - Folds a line of a header which is too long, by breaking it
+ *  before the spaces between its words. Words longer than a line are kept
+ *  whole.
+ *
+ * @param {string} line The line.
+ *
+ * @returns {string} Returns the folded line.
+ */
+function foldLine(line) {
+  if (line.length <= headerLineLength) return line;
+  const words = line.split(' ');
+  const lines = [];
+  let current = words.shift();
+  words.forEach((word) => {
+    // The name of the header is kept on the same line as its first word.
+    const isBreakable = current.trim() && !current.endsWith(':');
+    if (isBreakable && current.length + word.length + 1 > headerLineLength) {
+      lines.push(current);
+      current = ` ${word}`;
+    } else {
+      current = `${current} ${word}`;
+    }
+  });
+  lines.push(current);
+  return lines.join(lineBreak);
+}
+
+/**
+ * generateHeader - Creates a header of a message, folded so its lines aren't
+ *  too long.
+ *
+ * @param {string} name The name of the header, eg. 'Subject'.
+ * @param {string} value The value of the header, already encoded. See
+ *  encodeHeader.
+ *
+ * @returns {string} Returns the header.
+ */
+function generateHeader(name, value) {
+  return `${name}: ${value}`.split(lineBreak).map(foldLine).join(lineBreak);
+}
+
+/**
+ * encodeDisplayName - Encodes the name of a sender for the From header. Names
+ *  with punctuation, eg. "Smith, J.", are quoted.
+ *
+ * @param {string} name The name.
+ *
+ * @returns {string} Returns the encoded name.
+ */
+function encodeDisplayName(name) {
+  if (plainNamePattern.test(name) || !/^[\x20-\x7e]*$/.test(name)) return encodeHeader(name);
+  return `"${name.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * getSender - Gets the sender an email appears to be from, which depends on
+ *  its brand.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ *
+ * @returns {string} Returns the sender's name and address, ready to be used
+ *  as a header.
+ */
+function getSender(docInfo) {
+  const { sender } = docInfo.brand;
+  const name = sender.name.trim();
+  return name ? `${encodeDisplayName(name)} <${sender.address}>` : sender.address;
+}
+
+/**
+ * generateBoundary - Creates a boundary separating the parts of a message.
+ *
+ * @returns {string} Returns the boundary.
+ */
+function generateBoundary() {
+  const random = Math.random().toString(36).slice(2);
+  return `----=_ISAEasyEmail_${Date.now().toString(36)}_${random}`;
+}
+
+/**
+ * generateEML - Creates an RFC 5322 message containing the email, with both
+ *  an HTML and a plain-text version. The message can be opened in any mail
+ *  client to see how the email will look in an inbox.
+ *
+ * @param {object} docInfo The docInfo of the email. See getSubject.
+ * @param {Element} [$editor=null] The live .wf__editor element. See
+ *  generateEmailTable.
+ *
+ * @returns {string} Returns the message.
+ */
+export function generateEML(docInfo, $editor = null) {
+  const boundary = generateBoundary();
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(body),
+  ].join(lineBreak);
+  return [
+    generateHeader('From', getSender(docInfo)),
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    generateHeader('Subject', encodeHeader(getSubject(docInfo))),
+    'MIME-Version: 1.0',
+    // Opens the message as an unsent draft in Outlook, ready to send a test.
+    'X-Unsent: 1',
+    `Content-Type: multipart/alternative;${lineBreak} boundary="${boundary}"`,
+    '',
+    part('text/plain', generatePlainText(docInfo)),
+    part('text/html', generateStandaloneHTML(docInfo, $editor)),
+    `--${boundary}--`,
+    '',
+  ].join(lineBreak);
+}
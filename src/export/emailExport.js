@@ -0,0 +1,504 @@
+import { addStyleFromObj, generateElement } from '../lib.js';
+import { generateCTARow } from '../ctaButtons.js';
+import { optOutAttribute, tagLinks } from './campaignTags.js';
+import { formatPlaceholder, getMergeTagKey } from '../mergeTags.js';
+import { generateFooter } from '../footer.js';
+import { isContentBlock } from '../contentBlocks.js';
+
+/*
+ * Converts the WriteFree editor into markup which survives email clients.
+ * Outlook and Gmail ignore most CSS and the browser's default styles, so the
+ * email is laid out as a single table: every heading, paragraph, image and
+ * rule becomes its own row, every style is written inline, and images are
+ * given explicit dimensions.
+ */
+
+export const emailWidth = 600;
+const gutter = 15;
+export const contentWidth = emailWidth - (gutter * 2);
+
+// Follows the preheader so the inbox doesn't fill the rest of the preview with
+// the start of the email. Written as entities so it survives being pasted.
+const preheaderFiller = '&zwnj;&nbsp;'.repeat(50);
+
+// Emails which are responsive reflow below this width. The rules target the
+// classes added by makeResponsive. Clients which ignore <style> blocks get the
+// fluid inline widths instead.
+const responsiveBreakpoint = emailWidth + 20;
+// Headings are shrunk on phones by this many pixels.
+const responsiveHeadingReduction = 2;
+
+/**
+ * generateResponsiveStyle - Creates the mobile styles of a responsive email.
+ *
+ * @param {object} style The design of the email, ie. docInfo.style. Headings
+ *  are shrunk from their sizes in the design.
+ *
+ * @returns {string} Returns the CSS.
+ */
+function generateResponsiveStyle(style) {
+  const largeHeadingSize = style.largeHeadingSize - responsiveHeadingReduction;
+  const smallHeadingSize = style.smallHeadingSize - responsiveHeadingReduction;
+  return `
+@media only screen and (max-width: ${responsiveBreakpoint}px) {
+  table.isaEmail { width: 100% !important; }
+  td.isaEmail__block { padding-left: 10px !important; padding-right: 10px !important; }
+  h1.isaEmail__heading { font-size: ${largeHeadingSize}px !important; }
+  h2.isaEmail__heading { font-size: ${smallHeadingSize}px !important; }
+  img.isaEmail__img { max-width: 100% !important; height: auto !important; }
+  img.isaEmail__img--full { width: 100% !important; }
+  td.isaEmail__cta { padding-left: 10px !important; padding-right: 10px !important; }
+  td.isaEmail__cta a { display: block !important; width: auto !important; padding: 15px 10px !important; font-size: 20px !important; }
+  td.isaEmail__column { display: block !important; width: 100% !important; padding-bottom: 10px !important; }
+  td.isaEmail__gap { display: none !important; }
+}
+`;
+}
+
+// The vertical space around each block, in place of the browser's margins.
+const blockPadding = 8;
+const edgePadding = 12;
+
+// Text styles carried over from each section of the editor.
+const textProps = [
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style',
+  'color',
+  'line-height',
+  'text-align',
+];
+
+// Elements which are kept, with their inline styles, inside a text row. Any
+// other element is replaced by its contents.
+const inlineTags = ['A', 'B', 'BR', 'EM', 'I', 'S', 'SPAN', 'STRONG', 'SUB', 'SUP', 'U'];
+// The campaign opt-out is removed once the links have been tagged.
+const inlineAttributes = ['href', 'style', 'title', optOutAttribute];
+// Elements which started a new line in the editor.
+const lineTags = ['DIV', 'P'];
+
+/**
+ * pickStyles - Reads the given inline styles from an element.
+ *
+ * @param {Element} $el The element whose styles are read.
+ * @param {string[]} props The CSS properties to read.
+ *
+ * @returns {object} Returns a style object containing each property which is
+ *  set on $el. Double quotes are swapped for single quotes so the styles can
+ *  be written into an attribute without escaping.
+ */
+function pickStyles($el, props) {
+  const styles = {};
+  props.forEach((prop) => {
+    const val = $el.style.getPropertyValue(prop);
+    if (val) styles[prop] = val.replace(/"/g, "'");
+  });
+  return styles;
+}
+
+/**
+ * generateLayoutTable - Creates an empty table used purely for layout.
+ *
+ * @param {string} width The width of the table, eg. '600' or '100%'.
+ * @param {object} [style={}] The inline style of the table.
+ *
+ * @returns {Element} Returns the table. Rows belong in its tBodies[0].
+ */
+function generateLayoutTable(width, style = {}) {
+  const $table = generateElement('table', {
+    role: 'presentation',
+    width,
+    border: '0',
+    cellpadding: '0',
+    cellspacing: '0',
+  });
+  addStyleFromObj($table, Object.assign({ 'border-collapse': 'collapse' }, style));
+  $table.appendChild(generateElement('tbody'));
+  return $table;
+}
+
+/**
+ * generateRow - Creates a table row with a single cell.
+ *
+ * @param {object} style The inline style of the cell.
+ * @param {object} [attrs={}] Any other attributes of the cell.
+ *
+ * @returns {Element} Returns the row. The cell is its firstChild.
+ */
+function generateRow(style, attrs = {}) {
+  const $row = generateElement('tr');
+  const $cell = generateElement('td', attrs);
+  addStyleFromObj($cell, Object.assign({ padding: `${blockPadding}px ${gutter}px` }, style));
+  $row.appendChild($cell);
+  return $row;
+}
+
+/**
+ * generateSpacerRow - Creates an empty row of the given height.
+ *
+ * @param {number} height The height of the row, in pixels.
+ *
+ * @returns {Element} Returns the row.
+ */
+function generateSpacerRow(height) {
+  return generateRow({
+    padding: '0',
+    height: `${height}px`,
+    'font-size': `${height}px`,
+    'line-height': `${height}px`,
+  }, { height: String(height), innerHTML: '&nbsp;' });
+}
+
+/**
+ * exportInline - Copies the inline content of an editor section into an
+ *  exported element, dropping classes, editor attributes and any element
+ *  email clients can't be trusted to render. Merge tags become placeholders.
+ *
+ * @param {Element} $source The editor element whose children are copied.
+ * @param {Element} $target The exported element to which they are appended.
+ *
+ * @returns {Element} Returns $target.
+ */
+function exportInline($source, $target) {
+  Array.from($source.childNodes).forEach(($node) => {
+    if ($node.nodeType === Node.TEXT_NODE) {
+      $target.appendChild(document.createTextNode($node.textContent));
+    } else if ($node.nodeType !== Node.ELEMENT_NODE) {
+      // Comments and the like are dropped.
+    } else if (getMergeTagKey($node)) {
+      $target.appendChild(document.createTextNode(formatPlaceholder(getMergeTagKey($node))));
+    } else if (inlineTags.includes($node.tagName)) {
+      const $copy = generateElement($node.tagName.toLowerCase());
+      inlineAttributes.forEach((attr) => {
+        if ($node.hasAttribute(attr)) $copy.setAttribute(attr, $node.getAttribute(attr));
+      });
+      if ($node.tagName === 'A') $copy.setAttribute('target', '_blank');
+      $target.appendChild(exportInline($node, $copy));
+    } else {
+      if (lineTags.includes($node.tagName) && $target.childNodes.length > 0) {
+        $target.appendChild(generateElement('br'));
+      }
+      exportInline($node, $target);
+    }
+  });
+  return $target;
+}
+
+/**
+ * isEmptySection - Determines if an editor section holds nothing visible, eg.
+ *  the blank lines used to space out an email.
+ *
+ * @param {Element} $block The section to check.
+ *
+ * @returns {boolean} Returns true if the section is empty.
+ */
+function isEmptySection($block) {
+  return $block.textContent.trim() === '' && !$block.querySelector('img');
+}
+
+/**
+ * exportHeading - Converts a heading into a row. The heading element is kept
+ *  for screen readers but its default margins and sizes are overridden.
+ *
+ * @param {Element} $block The heading.
+ *
+ * @returns {Element} Returns the row.
+ */
+function exportHeading($block) {
+  const style = pickStyles($block, textProps);
+  const $row = generateRow(style);
+  const $heading = generateElement($block.tagName.toLowerCase());
+  addStyleFromObj($heading, Object.assign({ margin: '0' }, style));
+  $row.firstChild.appendChild(exportInline($block, $heading));
+  return $row;
+}
+
+/**
+ * exportText - Converts a paragraph into a row. The paragraph's text is
+ *  placed directly in the cell.
+ *
+ * @param {Element} $block The paragraph.
+ *
+ * @returns {Element} Returns the row.
+ */
+function exportText($block) {
+  const style = pickStyles($block, textProps);
+  if (isEmptySection($block)) {
+    return generateRow(style, { innerHTML: '&nbsp;' });
+  }
+  const $row = generateRow(style);
+  exportInline($block, $row.firstChild);
+  return $row;
+}
+
+/**
+ * getImageSize - Determines the size at which an image should be displayed.
+ *  Images are never wider than the content of the email.
+ *
+ * @param {HTMLImageElement} $img The image, ideally loaded in the editor so
+ *  its natural size is known.
+ *
+ * @returns {object} Returns { width, height }. The height is null if it
+ *  couldn't be determined.
+ */
+function getImageSize($img) {
+  const width = $img.naturalWidth || parseInt($img.getAttribute('width'), 10);
+  const height = $img.naturalHeight || parseInt($img.getAttribute('height'), 10);
+  if (!width) return { width: contentWidth, height: null };
+  const scale = Math.min(1, contentWidth / width);
+  return {
+    width: Math.round(width * scale),
+    height: height ? Math.round(height * scale) : null,
+  };
+}
+
+/**
+ * exportImage - Converts a section containing an image into a row.
+ *
+ * @param {Element} $block The section.
+ *
+ * @returns {Element} Returns the row.
+ */
+function exportImage($block) {
+  const $source = $block.querySelector('img');
+  const { width, height } = getImageSize($source);
+  const $row = generateRow({}, { align: 'center' });
+  const $img = generateElement('img', {
+    src: $source.getAttribute('src'),
+    alt: $source.getAttribute('alt') || '',
+    width: String(width),
+    border: '0',
+  });
+  if (height) $img.setAttribute('height', String(height));
+  addStyleFromObj($img, {
+    display: 'block',
+    margin: '0 auto',
+    width: `${width}px`,
+    'max-width': '100%',
+    height: 'auto',
+    border: '0',
+  });
+  const $link = $source.closest('a');
+  if ($link && $block.contains($link)) {
+    const $a = generateElement('a', { href: $link.getAttribute('href'), target: '_blank' });
+    if ($link.hasAttribute(optOutAttribute)) {
+      $a.setAttribute(optOutAttribute, $link.getAttribute(optOutAttribute));
+    }
+    $a.appendChild($img);
+    $row.firstChild.appendChild($a);
+  } else {
+    $row.firstChild.appendChild($img);
+  }
+  return $row;
+}
+
+/**
+ * exportRule - Converts a section containing a horizontal rule into a row.
+ *  Outlook ignores the styles of <hr> so the rule is drawn as a border.
+ *
+ * @returns {Element} Returns the row.
+ */
+function exportRule() {
+  const $row = generateRow({});
+  const $rule = generateLayoutTable('100%');
+  $rule.tBodies[0].appendChild(generateRow({
+    padding: '0',
+    'border-top': '1px solid #cccccc',
+    'font-size': '1px',
+    'line-height': '1px',
+  }, { innerHTML: '&nbsp;' }));
+  $row.firstChild.appendChild($rule);
+  return $row;
+}
+
+/**
+ * exportContentBlock - Converts a content block into a row. Blocks are kept
+ *  in the editor as the table they're exported as. See contentBlocks.js.
+ *
+ * @param {Element} $block The content block.
+ *
+ * @returns {Element} Returns the row.
+ */
+function exportContentBlock($block) {
+  const $row = generateRow({});
+  Array.from($block.children).forEach(($child) => {
+    $row.firstChild.appendChild($child.cloneNode(true));
+  });
+  return $row;
+}
+
+const blockExporters = {
+  heading: exportHeading,
+  text: exportText,
+  image: exportImage,
+  rule: exportRule,
+  block: exportContentBlock,
+};
+
+/**
+ * getBlockType - Determines which kind of block an editor section is.
+ *
+ * @param {Element} $block The section.
+ *
+ * @returns {string|null} Returns a key of blockExporters, or null if the
+ *  section is a container with nothing in it to export.
+ */
+function getBlockType($block) {
+  if (/^H[1-6]$/.test($block.tagName)) return 'heading';
+  if ($block.classList.contains('wf__container-section')) {
+    if (isContentBlock($block)) return 'block';
+    if ($block.querySelector('img')) return 'image';
+    if ($block.querySelector('hr')) return 'rule';
+    return null;
+  }
+  return 'text';
+}
+
+/**
+ * getEditor - Finds the editor element to export.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ * @param {Element} [$editor] The live editor, if there is one.
+ *
+ * @returns {Element} Returns $editor if given. Else the editor parsed from
+ *  docInfo.contents.
+ */
+function getEditor(docInfo, $editor) {
+  if ($editor) return $editor;
+  const html = new DOMParser().parseFromString(docInfo.contents, 'text/html');
+  return html.body.firstElementChild;
+}
+
+/**
+ * makeResponsive - Lets an exported email reflow on narrow screens. Widths
+ *  become fluid and elements are given the classes the responsive style
+ *  targets. See generateResponsiveStyle.
+ *
+ * @param {Element} $table The exported table.
+ * @param {Element[]} $ctaRows The rows containing the CTA buttons.
+ *
+ * @returns {Element} Returns the table.
+ */
+function makeResponsive($table, $ctaRows) {
+  $table.classList.add('isaEmail');
+  $table.style.setProperty('width', '100%');
+  $table.style.setProperty('max-width', `${emailWidth}px`);
+  Array.from($table.tBodies[0].children).forEach(($row) => {
+    const $cell = $row.firstElementChild;
+    $cell.classList.add($ctaRows.includes($row) ? 'isaEmail__cta' : 'isaEmail__block');
+  });
+  Array.from($table.querySelectorAll('h1, h2')).forEach(($heading) => {
+    $heading.classList.add('isaEmail__heading');
+  });
+  Array.from($table.querySelectorAll('img')).forEach(($img) => {
+    $img.classList.add('isaEmail__img');
+    if (Number($img.getAttribute('width')) === contentWidth) {
+      $img.classList.add('isaEmail__img--full');
+    }
+  });
+  return $table;
+}
+
+/**
+ * colorLinks - Gives links the link color of the email's design. Links with a
+ *  color of their own keep it.
+ *
+ * @param {Element[]} $links The links.
+ * @param {string} color The link color.
+ *
+ */
+function colorLinks($links, color) {
+  $links.forEach(($link) => {
+    if (!$link.style.getPropertyValue('color')) $link.style.setProperty('color', color);
+  });
+}
+
+/**
+ * generateFooterRow - Creates the row containing the email's footer.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ *
+ * @returns {Element} Returns the row.
+ */
+function generateFooterRow(docInfo) {
+  const $row = generateRow({ padding: `${edgePadding}px 0 0 0` });
+  $row.firstChild.appendChild(generateFooter(docInfo.footer, docInfo.brand.cta));
+  return $row;
+}
+
+/**
+ * generateEmailTable - Converts an email into a table ready to be sent.
+ *
+ * @param {object} docInfo The docInfo of the email. Its links are given the
+ *  link color of its design. Its CTA buttons are added below the content,
+ *  followed by its footer if copyFooter is set, and its links are tagged for
+ *  its campaign. If it's responsive, the table is made fluid.
+ * @param {Element} [$editor=null] The live .wf__editor element. Images in the
+ *  live editor have loaded, so their natural sizes are known. If omitted, the
+ *  editor is parsed from docInfo.contents.
+ *
+ * @returns {Element} Returns the table.
+ */
+export function generateEmailTable(docInfo, $editor = null) {
+  const $table = generateLayoutTable(String(emailWidth), { width: `${emailWidth}px` });
+  $table.setAttribute('align', 'center');
+  const $tbody = $table.tBodies[0];
+  $tbody.appendChild(generateSpacerRow(edgePadding));
+  Array.from(getEditor(docInfo, $editor).children).forEach(($block) => {
+    const type = getBlockType($block);
+    if (type) $tbody.appendChild(blockExporters[type]($block));
+  });
+  colorLinks(Array.from($tbody.querySelectorAll('a')), docInfo.style.linkColor);
+  $tbody.appendChild(generateSpacerRow(edgePadding));
+  const $ctaRows = docInfo.links.map((link, i) => generateCTARow(link, i === 0));
+  $ctaRows.forEach($row => $tbody.appendChild($row));
+  if (docInfo.copyFooter) $tbody.appendChild(generateFooterRow(docInfo));
+  tagLinks(Array.from($table.querySelectorAll('a')), docInfo.campaign);
+  if (docInfo.responsive) makeResponsive($table, $ctaRows);
+  return $table;
+}
+
+/**
+ * generatePreheader - Creates the hidden block containing the preheader, the
+ *  preview text inboxes show after the subject line.
+ *
+ * @param {string} text The preheader.
+ *
+ * @returns {string} Returns the HTML of the block.
+ */
+function generatePreheader(text) {
+  const $preheader = generateElement('div', { textContent: text });
+  addStyleFromObj($preheader, {
+    display: 'none',
+    'font-size': '1px',
+    color: '#ffffff',
+    'line-height': '1px',
+    'max-height': '0',
+    'max-width': '0',
+    opacity: '0',
+    overflow: 'hidden',
+    'mso-hide': 'all',
+  });
+  return $preheader.outerHTML.replace('</div>', `${preheaderFiller}</div>`);
+}
+
+/**
+ * exportEmail - Converts an email into HTML ready to be pasted into GRS. If
+ *  the email has a preheader, it's placed in a hidden block before the table.
+ *  Responsive emails are preceded by their mobile styles.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ * @param {Element} [$editor=null] The live .wf__editor element. See
+ *  generateEmailTable.
+ *
+ * @returns {string} Returns the HTML of the email.
+ */
+export function exportEmail(docInfo, $editor = null) {
+  let html = generateEmailTable(docInfo, $editor).outerHTML;
+  if (docInfo.preheader) html = generatePreheader(docInfo.preheader) + html;
+  if (docInfo.responsive) {
+    html = `<style type="text/css">${generateResponsiveStyle(docInfo.style)}</style>${html}`;
+  }
+  return html;
+}
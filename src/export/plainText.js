@@ -0,0 +1,210 @@
+import { generateCTARow } from '../ctaButtons.js';
+import { tagLinks } from './campaignTags.js';
+import { formatPlaceholder, getMergeTagKey } from '../mergeTags.js';
+import { generateFooter } from '../footer.js';
+import { blockAttribute, isContentBlock } from '../contentBlocks.js';
+
+/*
+ * Converts an email into the plain-text version sent alongside the HTML, for
+ * mail clients which can't (or are set not to) display HTML.
+ */
+
+// Lines are wrapped at this width, except for words which are longer.
+const lineWidth = 76;
+const headingUnderlines = { H1: '=', H2: '-' };
+const defaultUnderline = '-';
+// Elements which started a new line in the editor.
+const lineTags = ['DIV', 'P'];
+
+/**
+ * formatLink - Formats a link as "text (url)". If the text is the URL itself
+ *  only the URL is given.
+ *
+ * @param {string} text The text of the link.
+ * @param {string} url The URL of the link.
+ *
+ * @returns {string} Returns the formatted link.
+ */
+function formatLink(text, url) {
+  if (!url) return text;
+  const bareURL = url.replace(/^(mailto|tel|sms):/, '');
+  if (!text || text === url || text === bareURL) return url;
+  return `${text} (${url})`;
+}
+
+/**
+ * formatImage - Formats an image as its alt text in square brackets.
+ *
+ * @param {Element} $img The image.
+ *
+ * @returns {string} Returns the formatted image.
+ */
+function formatImage($img) {
+  const alt = ($img.getAttribute('alt') || '').trim();
+  return `[${alt || 'Image'}]`;
+}
+
+/**
+ * renderInline - Converts the inline content of an element to text. Line
+ *  breaks are kept as newlines and other whitespace is collapsed.
+ *
+ * @param {Node} $node The node to convert.
+ *
+ * @returns {string} Returns the text.
+ */
+function renderInline($node) {
+  if ($node.nodeType === Node.TEXT_NODE) {
+    return $node.textContent.replace(/\s+/g, ' ');
+  }
+  if ($node.nodeType !== Node.ELEMENT_NODE) return '';
+  if (getMergeTagKey($node)) return formatPlaceholder(getMergeTagKey($node));
+  if ($node.tagName === 'BR') return '\n';
+  if ($node.tagName === 'IMG') return formatImage($node);
+  const text = Array.from($node.childNodes).map(renderInline).join('');
+  if ($node.tagName === 'A') return formatLink(text.trim(), $node.getAttribute('href'));
+  if (lineTags.includes($node.tagName)) return `\n${text}`;
+  return text;
+}
+
+/**
+ * wrapLine - Wraps a line of text to lineWidth.
+ *
+ * @param {string} line The line to wrap.
+ *
+ * @returns {string} Returns the wrapped line.
+ */
+function wrapLine(line) {
+  const lines = [];
+  let current = '';
+  line.split(' ').forEach((word) => {
+    if (current && current.length + word.length + 1 > lineWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  lines.push(current);
+  return lines.join('\n');
+}
+
+/**
+ * formatText - Tidies and wraps the text of a paragraph.
+ *
+ * @param {string} text The text to format.
+ *
+ * @returns {string} Returns the formatted text.
+ */
+function formatText(text) {
+  return text
+    .split('\n')
+    .map(line => wrapLine(line.replace(/ +/g, ' ').trim()))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * renderHeading - Converts a heading to text, underlined according to its
+ *  level.
+ *
+ * @param {Element} $block The heading.
+ *
+ * @returns {string} Returns the text.
+ */
+function renderHeading($block) {
+  const text = formatText(renderInline($block));
+  if (!text) return '';
+  const longestLine = Math.max(...text.split('\n').map(line => line.length));
+  const underline = headingUnderlines[$block.tagName] || defaultUnderline;
+  return `${text}\n${underline.repeat(longestLine)}`;
+}
+
+/**
+ * renderContentBlock - Converts a content block to text. Bullet lists are
+ *  given as "* item" lines and the cells of other blocks, eg. the image and
+ *  text of a two-column row, as paragraphs.
+ *
+ * @param {Element} $block The content block.
+ *
+ * @returns {string} Returns the text.
+ */
+function renderContentBlock($block) {
+  if ($block.getAttribute(blockAttribute) === 'list') {
+    return Array.from($block.querySelectorAll('tr'))
+      .map($row => `* ${formatText(renderInline($row.lastElementChild))}`)
+      .join('\n');
+  }
+  return Array.from($block.querySelectorAll('td'))
+    .map($cell => formatText(renderInline($cell)))
+    .filter(text => text.length > 0)
+    .join('\n\n');
+}
+
+/**
+ * renderContainer - Converts a container section, holding an image, a
+ *  horizontal rule or a content block, to text.
+ *
+ * @param {Element} $block The section.
+ *
+ * @returns {string} Returns the text.
+ */
+function renderContainer($block) {
+  if (isContentBlock($block)) return renderContentBlock($block);
+  const $img = $block.querySelector('img');
+  if ($img) {
+    const $link = $img.closest('a');
+    const href = $link && $block.contains($link) ? $link.getAttribute('href') : null;
+    return href ? `${formatImage($img)} (${href})` : formatImage($img);
+  }
+  if ($block.querySelector('hr')) return '-'.repeat(lineWidth);
+  return '';
+}
+
+/**
+ * renderBlock - Converts a section of the editor to text.
+ *
+ * @param {Element} $block The section.
+ *
+ * @returns {string} Returns the text. Empty sections give an empty string.
+ */
+function renderBlock($block) {
+  if (/^H[1-6]$/.test($block.tagName)) return renderHeading($block);
+  if ($block.classList.contains('wf__container-section')) return renderContainer($block);
+  return formatText(renderInline($block));
+}
+
+/**
+ * generatePlainText - Creates a plain-text version of an email. Headings are
+ *  underlined, links are given as "text (url)", images as "[alt]", horizontal
+ *  rules as a line of dashes, bullet lists as "* item" lines and the CTA
+ *  buttons are listed at the end, followed by the footer if it's part of the
+ *  copied code. Links are tagged for the email's campaign, as in the HTML
+ *  version.
+ *
+ * @param {object} docInfo The docInfo of the email. Its contents are the
+ *  editor HTML, as returned by editor.html().
+ *
+ * @returns {string} Returns the text of the email.
+ */
+export default function generatePlainText(docInfo) {
+  const html = new DOMParser().parseFromString(docInfo.contents, 'text/html');
+  const $editor = html.body.firstElementChild;
+  const $buttons = docInfo.links.map(link => generateCTARow(link).querySelector('a'));
+  const $footerLinks = docInfo.copyFooter
+    ? Array.from(generateFooter(docInfo.footer, docInfo.brand.cta).querySelectorAll('a'))
+    : [];
+  tagLinks(
+    Array.from($editor.querySelectorAll('a')).concat($buttons, $footerLinks),
+    docInfo.campaign,
+  );
+  const paragraphs = Array.from($editor.children)
+    .map(renderBlock)
+    .filter(text => text.length > 0);
+  $buttons.forEach($button => paragraphs.push(formatLink($button.textContent, $button.getAttribute('href'))));
+  if (docInfo.copyFooter) {
+    const lines = $footerLinks.map($link => formatLink($link.textContent, $link.getAttribute('href')));
+    paragraphs.push(lines.join('\n'));
+    if (docInfo.footer.note) paragraphs.push(formatText(docInfo.footer.note));
+  }
+  return `${paragraphs.join('\n\n')}\n`;
+}
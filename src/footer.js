@@ -0,0 +1,313 @@
+import {
+  addStyleFromObj,
+  generateElement,
+  isObject,
+  parseLink,
+} from './lib.js';
+
+/*
+ * The footer shown below every email, generated from the contact details and
+ * social profiles in docInfo.footer:
+ *
+ * {
+ *   phone: '512-480-8522',
+ *   sms: '512-400-3211',
+ *   email: 'isa@studiesabroad.com',
+ *   website: 'http://studiesabroad.com/',
+ *   advising: 'http://internationalstudiesabroad.simplybook.me/sheduler/manage',
+ *   social: { instagram: 'https://www.instagram.com/isaabroad/', ... },
+ *   note: 'The contents of this email message ...',
+ * }
+ *
+ * Any value may be an empty string, in which case it's left out. Numbers and
+ * addresses are kept as entered, for display, and linked with tel:, sms: and
+ * mailto:. The note is the small print at the bottom, eg. a confidentiality
+ * notice. Each brand has its own footer, which new emails start with.
+ */
+
+export const socialNetworks = [
+  { key: 'instagram', name: 'Instagram' },
+  { key: 'facebook', name: 'Facebook' },
+  { key: 'twitter', name: 'Twitter' },
+  { key: 'youtube', name: 'YouTube' },
+  { key: 'pinterest', name: 'Pinterest' },
+  { key: 'linkedin', name: 'LinkedIn' },
+];
+
+export const defaultFooter = {
+  phone: '512-480-8522',
+  sms: '512-400-3211',
+  email: 'isa@studiesabroad.com',
+  website: 'http://studiesabroad.com/',
+  advising: 'http://internationalstudiesabroad.simplybook.me/sheduler/manage',
+  social: {
+    instagram: 'https://www.instagram.com/isaabroad/',
+    facebook: 'https://www.facebook.com/isaabroad?v=wall&ref=ts',
+    twitter: 'https://twitter.com/ISAabroad',
+    youtube: 'https://www.youtube.com/user/isaytvideo1987',
+    pinterest: 'https://www.pinterest.com/isaabroad/v',
+    linkedin: 'https://www.linkedin.com/groups/8459266/profile',
+  },
+  note: 'The contents of this email message and any attachments are intended solely for the addressee(s) and may contain confidential and/or privileged information and may be legally protected from disclosure. If you are not the intended recipient of this message or their agent, or if this message has been addressed to you in error, please immediately alert the sender by reply email and then delete this message and any attachments. If you are not the intended recipient, you are hereby notified that any use, dissemination, copying, or storage of this message or its attachments is strictly prohibited.',
+};
+
+// The contact details, in the order they're shown. Numbers and addresses are
+// linked with their scheme; the rest are web links.
+const contactItems = [
+  {
+    key: 'phone',
+    scheme: 'tel:',
+    label: value => `Call ${value}`,
+  },
+  {
+    key: 'sms',
+    scheme: 'sms:',
+    label: value => `Text ${value}`,
+  },
+  {
+    key: 'email',
+    scheme: 'mailto:',
+    label: value => value,
+  },
+  {
+    key: 'website',
+    scheme: '',
+    label: value => value.replace(/^https?:\/\//i, '').replace(/\/$/, ''),
+  },
+  {
+    key: 'advising',
+    scheme: '',
+    label: () => 'Book an Advising Session',
+  },
+];
+
+// The footer's values other than its social profiles.
+const valueKeys = contactItems.map(item => item.key).concat(['note']);
+
+/**
+ * generateEmptyFooter - Creates a footer with none of its values filled in.
+ *
+ * @returns {object} Returns the footer.
+ */
+export function generateEmptyFooter() {
+  const footer = {};
+  valueKeys.forEach((key) => { footer[key] = ''; });
+  footer.social = {};
+  socialNetworks.forEach(({ key }) => { footer.social[key] = ''; });
+  return footer;
+}
+
+const footerStyle = {
+  'border-collapse': 'collapse',
+  background: '#f4f4f4',
+  'font-family': 'Helvetica, Arial, sans-serif',
+  color: '#333333',
+};
+
+const cellStyle = {
+  padding: '10px 15px',
+  'text-align': 'center',
+  'font-size': '14px',
+  'line-height': '20px',
+};
+
+const contactStyle = {
+  display: 'inline-block',
+  margin: '4px',
+  padding: '8px 12px',
+  'font-size': '14px',
+  'text-decoration': 'none',
+};
+
+const socialStyle = {
+  color: '#333333',
+  'text-decoration': 'underline',
+};
+
+/**
+ * getFooterLink - Gets the link for one of the footer's values.
+ *
+ * @param {string} key The key of the value, eg. 'phone', or 'social' for a
+ *  social profile.
+ * @param {string} value The value as entered.
+ *
+ * @returns {object} Returns the parsed link. See parseLink.
+ */
+export function getFooterLink(key, value) {
+  const item = contactItems.find(contact => contact.key === key);
+  const scheme = item ? item.scheme : '';
+  return parseLink(`${scheme}${value}`);
+}
+
+/**
+ * validateFooter - Validates a footer.
+ *
+ * @param {*} footer The footer to validate.
+ * @param {string} name The name of the footer in messages, eg. 'The footer'.
+ *
+ * @returns {string[]} Returns an array of the problems found.
+ */
+export function validateFooter(footer, name) {
+  if (!isObject(footer)) return [`${name} is missing.`];
+  const errors = [];
+  if (!valueKeys.every(key => typeof footer[key] === 'string')) {
+    errors.push(`${name} is missing some of its contact details.`);
+  }
+  if (!isObject(footer.social)
+    || !socialNetworks.every(network => typeof footer.social[network.key] === 'string')) {
+    errors.push(`${name} is missing some of its social profiles.`);
+  }
+  return errors;
+}
+
+/**
+ * copyFooter - Creates a copy of a footer which can be changed without
+ *  affecting the original.
+ *
+ * @param {object} footer The footer to copy.
+ *
+ * @returns {object} Returns the copy.
+ */
+export function copyFooter(footer) {
+  return Object.assign({}, footer, { social: Object.assign({}, footer.social) });
+}
+
+/**
+ * isSameFooter - Determines if two footers have the same values.
+ *
+ * @param {object} a A footer.
+ * @param {object} b The footer to compare it with.
+ *
+ * @returns {boolean} Returns true if every value is the same.
+ */
+export function isSameFooter(a, b) {
+  return valueKeys.every(key => a[key] === b[key])
+    && socialNetworks.every(network => a.social[network.key] === b.social[network.key]);
+}
+
+/**
+ * generateFooterRow - Creates a row of the footer table.
+ *
+ * @param {Node[]} children The contents of the row, including text.
+ * @param {object} [style={}] Styles added to the row's cell.
+ *
+ * @returns {Element} Returns the row.
+ */
+function generateFooterRow(children, style = {}) {
+  const $row = generateElement('tr');
+  const $cell = generateElement('td', { align: 'center' });
+  addStyleFromObj($cell, Object.assign({}, cellStyle, style));
+  children.forEach($child => $cell.appendChild($child));
+  $row.appendChild($cell);
+  return $row;
+}
+
+/**
+ * generateContactLinks - Creates the buttons linking to the footer's contact
+ *  details.
+ *
+ * @param {object} footer The footer.
+ * @param {object} colors The colors of the buttons: { color, background }.
+ *
+ * @returns {Element[]} Returns the buttons. Values which are empty or can't be
+ *  linked are left out.
+ */
+function generateContactLinks(footer, colors) {
+  return contactItems
+    .filter(item => footer[item.key] && getFooterLink(item.key, footer[item.key]).valid)
+    .map((item) => {
+      const value = footer[item.key];
+      const $link = generateElement('a', {
+        href: getFooterLink(item.key, value).url,
+        textContent: item.label(value),
+        style: Object.assign({}, contactStyle, {
+          color: colors.color,
+          background: colors.background,
+        }),
+      });
+      if (item.scheme !== 'tel:') $link.setAttribute('target', '_blank');
+      return $link;
+    });
+}
+
+/**
+ * generateSocialLinks - Creates the links to the footer's social profiles.
+ *  Each is named for its network in text, rather than shown as an icon, so it
+ *  can be read by screen readers and in clients which block images.
+ *
+ * @param {object} footer The footer.
+ *
+ * @returns {Node[]} Returns the links, separated by text nodes.
+ */
+function generateSocialLinks(footer) {
+  const $links = socialNetworks
+    .filter(network => footer.social[network.key] && getFooterLink('social', footer.social[network.key]).valid)
+    .map(network => generateElement('a', {
+      href: getFooterLink('social', footer.social[network.key]).url,
+      target: '_blank',
+      textContent: network.name,
+      style: socialStyle,
+    }));
+  const nodes = [];
+  $links.forEach(($link, i) => {
+    if (i > 0) nodes.push(document.createTextNode(' | '));
+    nodes.push($link);
+  });
+  return nodes;
+}
+
+/**
+ * generateNote - Creates the small print at the bottom of the footer.
+ *
+ * @param {object} footer The footer.
+ *
+ * @returns {Element|null} Returns the note, or null if the footer has none.
+ */
+function generateNote(footer) {
+  if (!footer.note) return null;
+  return generateElement('span', { textContent: footer.note });
+}
+
+/**
+ * generateFooter - Creates the footer of an email. The contact details are
+ *  buttons and the social profiles are text links, so the footer can be read
+ *  without images and every link says where it goes.
+ *
+ * @param {object} footer The footer, ie. docInfo.footer.
+ * @param {object} colors The colors of the contact buttons, eg. the brand's
+ *  CTA colors: { color, background }.
+ *
+ * @returns {Element} Returns the footer table.
+ */
+export function generateFooter(footer, colors) {
+  const $table = generateElement('table', {
+    role: 'presentation',
+    width: '100%',
+    border: '0',
+    cellspacing: '0',
+    cellpadding: '0',
+    style: footerStyle,
+  });
+  const $tbody = generateElement('tbody');
+  const $contacts = generateContactLinks(footer, colors);
+  if ($contacts.length > 0) {
+    $tbody.appendChild(generateFooterRow($contacts, { 'padding-top': '20px' }));
+  }
+  const $social = generateSocialLinks(footer);
+  if ($social.length > 0) {
+    const $label = generateElement('strong', { textContent: 'Follow us: ' });
+    $tbody.appendChild(generateFooterRow([$label].concat($social)));
+  }
+  const $note = generateNote(footer);
+  if ($note) {
+    $tbody.appendChild(generateFooterRow([$note], {
+      'text-align': 'left',
+      'font-size': '10px',
+      'line-height': '14px',
+      color: '#666666',
+    }));
+  }
+  if ($tbody.lastChild) $tbody.lastChild.firstChild.style.setProperty('padding-bottom', '20px');
+  $table.appendChild($tbody);
+  return $table;
+}
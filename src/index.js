@@ -7,77 +7,108 @@ import SettingsView from './modalViews/settingsView.js';
 import CopyView from './modalViews/copyView.js';
 import SaveLoadView from './modalViews/saveLoadView.js';
 import HelpView from './modalViews/helpView.js';
+import RestoreDraftView from './modalViews/restoreDraftView.js';
+import TemplateView from './modalViews/templateView.js';
+import CheckView from './modalViews/checkView.js';
+import InboxPreviewView from './modalViews/inboxPreviewView.js';
+import LinksView from './modalViews/linksView.js';
+import LinkView from './modalViews/linkView.js';
+import MergeTagView from './modalViews/mergeTagView.js';
+import BlockView from './modalViews/blockView.js';
+import SnippetView from './modalViews/snippetView.js';
+import RecipientPreviewView from './modalViews/recipientPreviewView.js';
+import Autosave from './storage/autosave.js';
+import DocHistory from './docHistory.js';
+import EditorSelection from './editorSelection.js';
+import DevicePreview, { devices } from './devicePreview.js';
+import { DocumentVersion, upgradeDocInfo } from './storage/docSchema.js';
+import { defaultLinks, renderCTAButtons } from './ctaButtons.js';
+import { exportEmail } from './export/emailExport.js';
+import { defaultCampaign } from './export/campaignTags.js';
+import { copyBrand, defaultBrand, generateBrandImage } from './brands.js';
+import { copyFooter, generateFooter } from './footer.js';
+import { defaultStyle, getSectionStyles } from './emailStyle.js';
+import generatePlainText from './export/plainText.js';
+import checkEmail from './emailChecks.js';
+
+import {
+  containerStyle,
+  largeHeadingStyle,
+  smallHeadingStyle,
+  imgStyle,
+  sectionStyle,
+} from './editorStyles.js';
 
 import {
   DocumentFileType,
   generateCurrentDateString,
-  findAncestorOfType,
+  generateElement,
 } from './lib.js';
 
 const tutorialCookieTitle = 'ISAEasyEmailTutorial';
 
-const containerStyle = {
-  'box-sizing': 'border-box',
-  padding: '20px 5px',
-  width: '600px',
-};
-
-const largeHeadingStyle = {
-  'font-family': "'Helvetica', sans-serif",
-  'font-weight': 'normal',
-  'font-size': '24px',
-  color: '#333',
-  'padding-left': '10px',
-  'padding-right': '10px',
-};
-
-const smallHeadingStyle = {
-  'font-family': "'Helvetica', sans-serif",
-  'font-weight': 'normal',
-  'font-size': '20px',
-  color: '#888',
-  'padding-left': '10px',
-  'padding-right': '10px',
-};
-
-const imgStyle = {
-  'max-width': '100%',
-  'text-align': 'center',
-  margin: '1em auto',
-};
-
-const sectionStyle = {
-  overflow: 'hidden',
-  width: '100%',
-  'padding-left': '10px',
-  'padding-right': '10px',
-  'box-sizing': 'border-box',
-  'font-family': 'Times',
-  'font-size': '16px',
-  'line-height': '1.25em',
-
-};
-
+// The styles are copied so the email's design can change them. See applyStyle.
 const options = {
   divOrPar: 'p',
   containerStyle,
-  largeHeadingStyle,
-  smallHeadingStyle,
+  largeHeadingStyle: Object.assign({}, largeHeadingStyle),
+  smallHeadingStyle: Object.assign({}, smallHeadingStyle),
   imgStyle,
-  sectionStyle,
+  sectionStyle: Object.assign({}, sectionStyle),
   emptyPlaceholder: 'Compose your email here...',
 };
 
 function setButtons() {
   return {
     $startoverBtn: document.getElementById('startoverBtn'),
+    $templatesBtn: document.getElementById('templatesBtn'),
+    $undoBtn: document.getElementById('undoBtn'),
+    $redoBtn: document.getElementById('redoBtn'),
+    $linkBtn: document.getElementById('linkBtn'),
+    $mergeTagsBtn: document.getElementById('mergeTagsBtn'),
+    $blockBtn: document.getElementById('blockBtn'),
+    $snippetsBtn: document.getElementById('snippetsBtn'),
+    $checkBtn: document.getElementById('checkBtn'),
+    $linksBtn: document.getElementById('linksBtn'),
     $copyCodeBtn: document.getElementById('copyCodeBtn'),
+    $inboxPreviewBtn: document.getElementById('inboxPreviewBtn'),
+    $mailMergeBtn: document.getElementById('mailMergeBtn'),
     $saveLoadBtn: document.getElementById('saveLoadBtn'),
     $settingsBtn: document.getElementById('settingsBtn'),
     $helpBtn: document.getElementById('helpBtn'),
   };
 }
 
+/**
+ * isToolbarMutation - Determines if the given mutation happened within one of
+ *  the WriteFree toolbars. The toolbars live inside the editor container but
+ *  aren't part of the document itself.
+ *
+ * @param {MutationRecord} mutation The mutation to check.
+ *
+ * @returns {boolean} Returns true if the mutation is within a toolbar.
+ */
+function isToolbarMutation(mutation) {
+  const target = mutation.target instanceof Element
+    ? mutation.target
+    : mutation.target.parentNode;
+  return Boolean(target && target.closest('.wf__toolbar'));
+}
+
+/**
+ * hasOwn - Determines if an object has a property of its own, eg. one of the
+ *  docInfo properties defined in Controller.initDocInfo. Unlike a truthiness
+ *  check, this is true of properties set to an empty value.
+ *
+ * @param {object} obj The object.
+ * @param {string} key The name of the property.
+ *
+ * @returns {boolean} Returns true if obj has the property.
+ */
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
 function checkTutorialCookie() {
   return Cookies.getItem(tutorialCookieTitle);
 }
@@ -90,7 +121,13 @@ function setTutorialCookie() {
 const Controller = {
   docInfo: {
     fileType: DocumentFileType,
+    version: DocumentVersion,
     dateCreated: generateCurrentDateString(),
+    subject: '',
+    preheader: '',
+    responsive: true,
+    campaign: Object.assign({}, defaultCampaign),
+    copyFooter: false,
   },
 
   /**
@@ -102,11 +139,13 @@ const Controller = {
   init() {
     // Initialize Controller HTML
     this.btns = setButtons();
-    this.$copyTargetCtn = document.getElementById('copyTargetCtn');
-    this.$copyTargetInnerCtn = document.getElementById('copyTargetInnerCtn');
-    this.$copyTargetBottomBtns = document.getElementById('copyTarget-bottomBtns');
     this.$bottomBtns = document.getElementById('bottomBtns');
     this.$metaDisplay = document.getElementById('metaDisplay');
+    this.$emailHeader = document.getElementById('emailHeader');
+    this.$emailFooter = document.getElementById('emailFooter');
+    // Colors the links in the editor. See applyStyle.
+    this.$editorStyle = generateElement('style');
+    document.head.appendChild(this.$editorStyle);
     // Initialize the editor
     this.editorCtn = document.getElementById('wfeditor');
     this.editor = WriteFree(this.editorCtn, options);
@@ -114,18 +153,144 @@ const Controller = {
     this.setDocInfo();
     // Initialize the modal views. This must come after setDocInfo.
     this.initModalViews();
+    this.initAutosave();
+    this.initHistory();
+    this.initDevicePreview();
 
     document.addEventListener('click', this.buttonClickHandler.bind(this));
+    document.addEventListener('keydown', this.keydownHandler.bind(this));
 
     window.ed = this.editor;
     window.docInfo = this.docInfo;
     if (!checkTutorialCookie()) {
       this.helpView.startTutorial();
       setTutorialCookie();
+    } else {
+      this.offerDraftRestore();
     }
     return this;
   },
 
+  /**
+   * initAutosave - Initialize the Autosave and start watching the editor for
+   *  changes. Changes made through the settings are reported by the
+   *  SettingsView.
+   *
+   */
+  initAutosave() {
+    this.autosave = Object.create(Autosave);
+    this.autosave.init(this.getDocInfo.bind(this));
+    this.editorObserver = new MutationObserver(this.editorMutationHandler.bind(this));
+    this.editorObserver.observe(this.editorCtn, {
+      attributes: true,
+      characterData: true,
+      childList: true,
+      subtree: true,
+    });
+  },
+
+  /**
+   * initHistory - Initialize the undo/redo history of the document.
+   *
+   */
+  initHistory() {
+    this.history = Object.create(DocHistory);
+    this.history.init(
+      this.getDocInfo.bind(this),
+      this.setDocInfo.bind(this),
+      this.updateHistoryButtons.bind(this),
+      this.showHistoryError.bind(this),
+    );
+  },
+
+  /**
+   * showHistoryError - Tells the user an undo or redo failed.
+   *
+   * @param {Error} err The Error thrown while restoring the document.
+   *
+   */
+  showHistoryError(err) {
+    this.modal.setSaveHandler(null);
+    this.modal.display(generateElement('p', { textContent: `That change could not be undone or redone. ${err.message}` }));
+  },
+
+  /**
+   * initDevicePreview - Initialize the device preview and fill the View select
+   *  with the devices it can preview.
+   *
+   */
+  initDevicePreview() {
+    this.devicePreview = Object.create(DevicePreview);
+    this.devicePreview.init(
+      document.querySelector('.email-preview'),
+      this.getDocInfo.bind(this),
+      this.getEditorElement.bind(this),
+    );
+    this.$deviceSelect = document.getElementById('deviceSelect');
+    Object.keys(devices).forEach((key) => {
+      this.$deviceSelect.appendChild(generateElement('option', { value: key, textContent: devices[key].name }));
+    });
+    this.$deviceSelect.addEventListener('change', () => {
+      this.devicePreview.setDevice(this.$deviceSelect.value);
+      this.$deviceSelect.blur();
+    });
+  },
+
+  /**
+   * showEditor - Switches from a device preview back to the live editor.
+   *
+   */
+  showEditor() {
+    this.$deviceSelect.value = 'editor';
+    this.devicePreview.setDevice('editor');
+  },
+
+  /**
+   * updateHistoryButtons - Disables the undo and redo buttons when there is
+   *  nothing to undo or redo.
+   *
+   */
+  updateHistoryButtons() {
+    this.btns.$undoBtn.disabled = !this.history.canUndo();
+    this.btns.$redoBtn.disabled = !this.history.canRedo();
+  },
+
+  /**
+   * offerDraftRestore - If an autosaved draft exists and differs from the
+   *  current document, asks the user whether they would like to restore it.
+   *
+   * @returns {boolean} Returns true if the user was prompted. Else false.
+   */
+  offerDraftRestore() {
+    const draft = this.autosave.load();
+    if (!draft || draft.docInfo.contents === this.docInfo.contents) return false;
+    this.restoreDraftView.display(draft);
+    return true;
+  },
+
+  /**
+   * editorMutationHandler - Handles mutations within the editor container,
+   *  ignoring those that only affect the WriteFree toolbars.
+   *
+   * @param {MutationRecord[]} mutations The mutations observed.
+   *
+   */
+  editorMutationHandler(mutations) {
+    if (mutations.every(isToolbarMutation)) return;
+    this.documentChanged();
+  },
+
+  /**
+   * documentChanged - Called whenever the document (editor contents or
+   *  settings) changes.
+   *
+   */
+  documentChanged() {
+    if (this.autosave) this.autosave.schedule();
+    if (this.history) this.history.schedule();
+    if (this.devicePreview) this.devicePreview.schedule();
+  },
+
   /**
    * initModalViews - Initialize the modal views.
    *
@@ -134,13 +299,89 @@ const Controller = {
     this.modal = Object.create(Modal);
     this.modal.init();
     this.settingsview = Object.create(SettingsView);
-    this.settingsview.init(this.modal, this.docInfo);
+    this.settingsview.init(this.modal, this.docInfo, this.documentChanged.bind(this));
     this.copyview = Object.create(CopyView);
     this.copyview.init(this.modal);
     this.saveLoadView = Object.create(SaveLoadView);
-    this.saveLoadView.init(this.modal, this.setDocInfo.bind(this), this.getDocInfo.bind(this));
+    this.saveLoadView.init(
+      this.modal,
+      this.setDocInfo.bind(this),
+      this.getDocInfo.bind(this),
+      this.getEditorElement.bind(this),
+    );
     this.helpView = Object.create(HelpView);
     this.helpView.init(this.modal);
+    this.restoreDraftView = Object.create(RestoreDraftView);
+    this.restoreDraftView.init(this.modal, this.setDocInfo.bind(this));
+    this.templateView = Object.create(TemplateView);
+    this.templateView.init(this.modal, this.loadNewDocument.bind(this), this.getDocInfo.bind(this));
+    this.checkView = Object.create(CheckView);
+    this.checkView.init(this.modal, this.showEditor.bind(this));
+    this.inboxPreviewView = Object.create(InboxPreviewView);
+    this.inboxPreviewView.init(
+      this.modal,
+      this.getDocInfo.bind(this),
+      this.documentChanged.bind(this),
+    );
+    this.selection = Object.create(EditorSelection);
+    this.selection.init(this.getEditorElement.bind(this));
+    this.linkView = Object.create(LinkView);
+    this.linkView.init(this.modal, this.getDocInfo.bind(this), this.selection);
+    this.linksView = Object.create(LinksView);
+    this.linksView.init(
+      this.modal,
+      this.getDocInfo.bind(this),
+      this.getEditorElement.bind(this),
+      this.documentChanged.bind(this),
+    );
+    this.recipientPreviewView = Object.create(RecipientPreviewView);
+    this.recipientPreviewView.init(
+      this.modal,
+      this.getDocInfo.bind(this),
+      this.getEditorElement.bind(this),
+    );
+    this.mergeTagView = Object.create(MergeTagView);
+    this.mergeTagView.init(
+      this.modal,
+      this.getEditorElement.bind(this),
+      this.selection,
+      this.recipientPreviewView,
+    );
+    this.blockView = Object.create(BlockView);
+    this.blockView.init(this.modal, this.getDocInfo.bind(this), this.selection);
+    this.snippetView = Object.create(SnippetView);
+    this.snippetView.init(this.modal, this.getDocInfo.bind(this), this.selection);
+    this.addInsertToolbarButton();
+  },
+
+  /**
+   * addInsertToolbarButton - Adds a button for inserting content blocks to
+   *  WriteFree's insert toolbar, beside its image and horizontal rule buttons.
+   *  The toolbar appears on empty lines, where blocks are inserted.
+   *
+   *  WriteFree has no way to add toolbar buttons, so its toolbar is found in
+   *  the page: by the tooltips of its buttons or, failing that, by its image
+   *  URL input, which only the insert toolbar has. If WriteFree changes so
+   *  much that neither is found, no button is added. Blocks can still be
+   *  inserted with the Insert Block button above the editor.
+   *
+   * @returns {boolean} Returns true if the button was added.
+   */
+  addInsertToolbarButton() {
+    const $anchor = this.editorCtn.querySelector('[title="Insert a Horizontal Rule"], [title="Insert an Image"], #input');
+    const $toolbar = $anchor ? $anchor.closest('.wf__toolbar') : null;
+    const $btnCtn = $toolbar ? $toolbar.querySelector('.wf__toolbar__btn-ctn') : null;
+    if (!$btnCtn) return false;
+    const $blockBtn = generateElement('button', {
+      klasses: ['wf__toolbar__btn'],
+      title: 'Insert a Block',
+      textContent: '+',
+    });
+    // Keeps the caret on the empty line.
+    $blockBtn.addEventListener('mousedown', e => e.preventDefault());
+    $blockBtn.addEventListener('click', () => this.blockView.display());
+    $btnCtn.appendChild($blockBtn);
+    return true;
   },
 
   /**
@@ -151,7 +392,7 @@ const Controller = {
    *
    */
   initDocInfo() {
-    if (!this.docInfo.contents) {
+    if (!hasOwn(this.docInfo, 'contents')) {
       const closureEditor = this.editor;
       // docInfo.contents is linked up with the editor
       Object.defineProperty(this.docInfo, 'contents', {
@@ -166,7 +407,7 @@ const Controller = {
         },
       });
     }
-    if (!this.docInfo.title) {
+    if (!hasOwn(this.docInfo, 'title')) {
       let closureTitle = '';
       const closureMetaDisplay = this.$metaDisplay;
       const title = document.getElementsByTagName('TITLE')[0];
@@ -185,53 +426,173 @@ const Controller = {
           return closureTitle;
         },
       });
-      if (!this.docInfo.links) {
-        const advisingLink = document.getElementById('advisingLink');
-        const applicationLink = document.getElementById('applicationLink');
-        this.docInfo.links = {
-          advisingLink: {
-            text: advisingLink.textContent,
-            url: advisingLink.href,
-          },
-          applicationLink: {
-            text: applicationLink.textContent,
-            url: applicationLink.href,
-          },
-        };
-      }
       this.docInfo.title = `ISA Email ${this.docInfo.dateCreated}`;
     }
+    if (!hasOwn(this.docInfo, 'links')) {
+      let closureLinks = [];
+      const closureBottomBtns = this.$bottomBtns;
+      // links defined with setter so the CTA buttons at the bottom of the email
+      // are re-rendered whenever they change.
+      Object.defineProperty(this.docInfo, 'links', {
+        configurable: false,
+        writeable: true,
+        enumerable: true,
+        set(val) {
+          closureLinks = val;
+          renderCTAButtons(closureBottomBtns, val);
+        },
+        get() {
+          return closureLinks;
+        },
+      });
+      this.docInfo.links = defaultLinks.map(link => Object.assign({}, link));
+    }
+    if (!hasOwn(this.docInfo, 'brand')) {
+      let closureBrand = null;
+      const closureApplyBrand = this.applyBrand.bind(this);
+      // brand defined with setter so the header, footer and editor styles
+      // change along with it.
+      Object.defineProperty(this.docInfo, 'brand', {
+        configurable: false,
+        writeable: true,
+        enumerable: true,
+        set(val) {
+          closureBrand = val;
+          closureApplyBrand(val);
+        },
+        get() {
+          return closureBrand;
+        },
+      });
+      this.docInfo.brand = copyBrand(defaultBrand);
+    }
+    if (!hasOwn(this.docInfo, 'footer')) {
+      let closureFooter = null;
+      const closureRenderFooter = this.renderFooter.bind(this);
+      // footer defined with setter so the footer below the email is
+      // re-rendered whenever it changes.
+      Object.defineProperty(this.docInfo, 'footer', {
+        configurable: false,
+        writeable: true,
+        enumerable: true,
+        set(val) {
+          closureFooter = val;
+          closureRenderFooter();
+        },
+        get() {
+          return closureFooter;
+        },
+      });
+      this.docInfo.footer = copyFooter(this.docInfo.brand.footer);
+    }
+    if (!hasOwn(this.docInfo, 'style')) {
+      let closureStyle = null;
+      const closureApplyStyle = this.applyStyle.bind(this);
+      // style defined with setter so the editor takes on the new look as soon
+      // as it changes.
+      Object.defineProperty(this.docInfo, 'style', {
+        configurable: false,
+        writeable: true,
+        enumerable: true,
+        set(val) {
+          closureStyle = val;
+          closureApplyStyle(val);
+        },
+        get() {
+          return closureStyle;
+        },
+      });
+      this.docInfo.style = Object.assign({}, defaultStyle);
+    }
+  },
+
+  /**
+   * applyBrand - Shows the header of a brand above the editor and gives the
+   *  footer the brand's button colors.
+   *
+   * @param {object} brand The brand.
+   *
+   */
+  applyBrand(brand) {
+    this.$emailHeader.innerHTML = '';
+    this.$emailHeader.appendChild(generateBrandImage(brand.header));
+    this.renderFooter();
+  },
+
+  /**
+   * applyStyle - Gives the sections the editor creates from now on the fonts,
+   *  sizes and colors of a style, and colors the links in the editor. Existing
+   *  sections keep their styles. See restyleContents.
+   *
+   * @param {object} style The style.
+   *
+   */
+  applyStyle(style) {
+    const styles = getSectionStyles(style);
+    Object.assign(options.largeHeadingStyle, styles.largeHeading);
+    Object.assign(options.smallHeadingStyle, styles.smallHeading);
+    Object.assign(options.sectionStyle, styles.section);
+    this.$editorStyle.textContent = `#wfeditor .wf__editor a { color: ${style.linkColor}; }`;
+  },
+
+  /**
+   * renderFooter - Shows the email's footer below the editor, in the colors of
+   *  its brand.
+   *
+   */
+  renderFooter() {
+    const { brand, footer } = this.docInfo;
+    // The brand is set before the footer when the docInfo is initialized.
+    if (!brand || !footer) return;
+    this.$emailFooter.innerHTML = '';
+    this.$emailFooter.appendChild(generateFooter(footer, brand.cta));
   },
 
   /**
    * setDocInfo - Sets the meta information for the current document. If given
-   *  passed a docInfo object, it will attempt to set the docInfo of the current
-   *  document to match that. Otherwise, it will provide generic defaults.
+   *  passed a docInfo object, it will upgrade it to the current file format and
+   *  set the docInfo of the current document to match that. Otherwise, it will
+   *  provide generic defaults.
    *
    * @param {object} [docInfo] An optional object containing information about a
    *  document.
    *
    * @returns {object} returns the current docInfo.
    *
+   * @throws {Error} Throws if the given docInfo is not a valid document. See
+   *  upgradeDocInfo.
    */
   setDocInfo(docInfo = null) {
     this.initDocInfo();
-    if (
-      docInfo
-      && docInfo.title
-      && docInfo.contents
-    ) {
-      if (docInfo.fileType !== DocumentFileType) return false;
-      Object.keys(docInfo).forEach((key) => {
-        this.docInfo[key] = docInfo[key];
+    if (docInfo) {
+      const upgradedDocInfo = upgradeDocInfo(docInfo);
+      Object.keys(upgradedDocInfo).forEach((key) => {
+        this.docInfo[key] = upgradedDocInfo[key];
       });
+      this.documentChanged();
     }
     if (this.settingsview) {
-      this.settingsview.init(this.modal, this.docInfo);
+      this.settingsview.init(this.modal, this.docInfo, this.documentChanged.bind(this));
     }
     return this.docInfo;
   },
 
+  /**
+   * loadNewDocument - Replaces the current document with a new one which isn't
+   *  one of the user's saved drafts, eg. one started from a template.
+   *
+   * @param {object} docInfo The docInfo of the new document.
+   *
+   * @returns {object} Returns the current docInfo.
+   *
+   * @throws {Error} Throws if the given docInfo is not a valid document.
+   */
+  loadNewDocument(docInfo) {
+    this.setDocInfo(docInfo);
+    this.saveLoadView.forgetCurrentDraft();
+    return this.docInfo;
+  },
+
   /**
    * getDocInfo - Retrieve the meta information for the current document in
    *  JSON format. The returned object includes the ocntent of the editor.
@@ -242,6 +603,55 @@ const Controller = {
     return this.docInfo;
   },
 
+  /**
+   * getEditorElement - Gets the live element of the editor, excluding its
+   *  toolbars.
+   *
+   * @returns {Element} Returns the .wf__editor element.
+   */
+  getEditorElement() {
+    return this.editorCtn.querySelector('.wf__editor');
+  },
+
+  /**
+   * checkEmail - Checks the current email for problems, eg. images without alt
+   *  text or broken links.
+   *
+   * @returns {object[]} Returns the problems found. See emailChecks.js.
+   */
+  checkEmail() {
+    return checkEmail(this.docInfo, this.getEditorElement(), this.$bottomBtns);
+  },
+
+  /**
+   * copyCode - Checks the email and, if there are no problems, copies its code.
+   *  Otherwise the problems are displayed along with the option to copy
+   *  anyway.
+   *
+   * @returns {boolean} Returns true if the code was copied. Else false.
+   */
+  copyCode() {
+    const issues = this.checkEmail();
+    if (issues.length > 0) {
+      this.checkView.display(issues, this.copyEmail.bind(this));
+      return false;
+    }
+    return this.copyEmail();
+  },
+
+  /**
+   * copyEmail - Displays and copies the code of the email and its plain-text
+   *  version.
+   *
+   * @returns {boolean} Returns true if the code was copied. Else false.
+   */
+  copyEmail() {
+    return this.copyview.displayAndCopy(
+      exportEmail(this.docInfo, this.getEditorElement()),
+      generatePlainText(this.docInfo),
+    );
+  },
+
   /**
    * loadEditorFile - Loads the given docInfo into the current document. Sets
    *  the contents of the editor and updates the title of the current document.
@@ -255,6 +665,31 @@ const Controller = {
     this.editor.load(docInfo.contents);
   },
 
+  /**
+   * keydownHandler - Handle the undo (Ctrl+Z), redo (Ctrl+Shift+Z) and add
+   *  link (Ctrl+K) keyboard shortcuts. Shortcuts pressed in a modal or in an
+   *  input are left to the browser.
+   *
+   * @param {event} e The keydown event.
+   *
+   */
+  keydownHandler(e) {
+    // Some keydown events have no key, eg. those Chrome fires for autofill.
+    if (!e.key) return;
+    const key = e.key.toLowerCase();
+    if (!(e.ctrlKey || e.metaKey) || !['k', 'z'].includes(key)) return;
+    if (this.modal.$currentContent) return;
+    if (e.target !== document.body && !this.editorCtn.contains(e.target)) return;
+    e.preventDefault();
+    if (key === 'k') {
+      this.linkView.display();
+    } else if (e.shiftKey) {
+      this.history.redo();
+    } else {
+      this.history.undo();
+    }
+  },
+
   /**
    * buttonClickHandler - Handle clicks on the Controller buttons.
    *
@@ -264,18 +699,46 @@ const Controller = {
   buttonClickHandler(e) {
     if (e.target === this.btns.$startoverBtn) {
       window.location.reload();
+    } else if (e.target === this.btns.$templatesBtn) {
+      this.templateView.display();
+      this.btns.$templatesBtn.blur();
+    } else if (e.target === this.btns.$undoBtn) {
+      this.history.undo();
+      this.btns.$undoBtn.blur();
+    } else if (e.target === this.btns.$redoBtn) {
+      this.history.redo();
+      this.btns.$redoBtn.blur();
+    } else if (e.target === this.btns.$linkBtn) {
+      this.showEditor();
+      this.linkView.display();
+      this.btns.$linkBtn.blur();
+    } else if (e.target === this.btns.$mergeTagsBtn) {
+      this.showEditor();
+      this.mergeTagView.display();
+      this.btns.$mergeTagsBtn.blur();
+    } else if (e.target === this.btns.$blockBtn) {
+      this.showEditor();
+      this.blockView.display();
+      this.btns.$blockBtn.blur();
+    } else if (e.target === this.btns.$snippetsBtn) {
+      this.showEditor();
+      this.snippetView.display();
+      this.btns.$snippetsBtn.blur();
+    } else if (e.target === this.btns.$checkBtn) {
+      this.checkView.display(this.checkEmail());
+      this.btns.$checkBtn.blur();
+    } else if (e.target === this.btns.$linksBtn) {
+      this.linksView.display();
+      this.btns.$linksBtn.blur();
     } else if (e.target === this.btns.$copyCodeBtn) {
-      this.$copyTargetInnerCtn.innerHTML = this.editor.html();
-      this.$copyTargetBottomBtns.innerHTML = this.$bottomBtns.innerHTML;
-      this.$copyTargetBottomBtns.querySelectorAll('a').forEach((link) => {
-        if (link.style.display === 'none') {
-          const tr = findAncestorOfType('TR', link);
-          tr.parentNode.removeChild(tr);
-          // link.parentNode.parentNode.parentNode.removeChild(link.parentNode.parentNode);
-        }
-      });
-      this.copyview.displayAndCopy(this.$copyTargetCtn.outerHTML);
+      this.copyCode();
       this.btns.$copyCodeBtn.blur();
+    } else if (e.target === this.btns.$inboxPreviewBtn) {
+      this.inboxPreviewView.display();
+      this.btns.$inboxPreviewBtn.blur();
+    } else if (e.target === this.btns.$mailMergeBtn) {
+      this.recipientPreviewView.display();
+      this.btns.$mailMergeBtn.blur();
     } else if (e.target === this.btns.$saveLoadBtn) {
       this.saveLoadView.display();
       this.btns.$saveLoadBtn.blur();
@@ -49,6 +49,30 @@ export function addClasses($el, klasses) {
   return $el;
 }
 
+/**
+ * isObject - Determines if the given value is a plain (non-null, non-array)
+ *  object.
+ *
+ * @param {*} val The value to check.
+ *
+ * @returns {boolean} Returns true if val is an object.
+ */
+export function isObject(val) {
+  return Boolean(val) && typeof val === 'object' && !Array.isArray(val);
+}
+
+/**
+ * isNonEmptyString - Determines if the given value is a string containing
+ *  something other than whitespace.
+ *
+ * @param {*} val The value to check.
+ *
+ * @returns {boolean} Returns true if val is a non-empty string.
+ */
+export function isNonEmptyString(val) {
+  return typeof val === 'string' && val.trim().length > 0;
+}
+
 /**
  * generateElement - Quickly generates an HTML element with given tagName,
  *  classes, and id.
@@ -83,25 +107,166 @@ export function generateElement(tagName = 'div', options = {}) {
   return $el;
 }
 
+// The kinds of link parseLink understands, by scheme.
+const linkTypes = {
+  'http:': 'web',
+  'https:': 'web',
+  'mailto:': 'email',
+  'tel:': 'phone',
+  'sms:': 'sms',
+};
+const hostnamePattern = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,}|xn--[a-z0-9-]+)$/i;
+const emailPattern = /^[^\s@,;]+@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+// Phone numbers may be written with these between the digits.
+const phoneFormatting = /[\s().-]/g;
+const phonePattern = /^\+?[0-9]{3,15}$/;
+
 /**
- * validateURL - A very simple url validator that checks for at least one dot
- *  and for http or https. If it has a dot but no http(s), http:// will be
- *  prepended before the url is returned.
+ * createLinkResult - Creates the result of parseLink.
  *
- * @param {string} url The url to validate
+ * @param {string|null} url The normalized link, or null if it's invalid.
+ * @param {string|null} type The kind of link, eg. 'web' or 'email'.
+ * @param {string|null} [error=null] Why the link is invalid.
  *
- * @returns {string || boolean} Returns the url (with http:// prepended if
-*   applicable) if url is valid. Else returns false.
+ * @returns {object} Returns { valid, url, type, error }.
  */
-export function validateURL(url) {
-  let returnVal;
-  if (!url.includes('.')) return false;
-  if (!url.startsWith('http://') && !url.startsWith('https://')) {
-    returnVal = `http://${url}`;
-  } else {
-    returnVal = url;
+function createLinkResult(url, type, error = null) {
+  return {
+    valid: !error,
+    url: error ? null : url,
+    type,
+    error,
+  };
+}
+
+/**
+ * splitQuery - Splits the part of a link after its scheme into its value and
+ *  query string.
+ *
+ * @param {string} rest The part of the link after its scheme.
+ *
+ * @returns {object} Returns { value, query } where the query includes its
+ *  leading "?", or is an empty string if there is none. The value is decoded.
+ */
+function splitQuery(rest) {
+  const index = rest.indexOf('?');
+  const value = index === -1 ? rest : rest.slice(0, index);
+  let decoded;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (exc) {
+    decoded = value;
   }
-  return returnVal;
+  return { value: decoded.trim(), query: index === -1 ? '' : rest.slice(index) };
+}
+
+/**
+ * parseEmailLink - Parses the part of a mailto: link after the scheme.
+ *
+ * @param {string} rest The address, optionally followed by ?subject=... etc.
+ *
+ * @returns {object} Returns the result. See parseLink.
+ */
+function parseEmailLink(rest) {
+  const { value, query } = splitQuery(rest);
+  if (!value) return createLinkResult(null, 'email', 'Enter an email address after mailto:.');
+  const addresses = value.split(',').map(address => address.trim());
+  const invalid = addresses.find(address => !emailPattern.test(address));
+  if (invalid !== undefined) {
+    return createLinkResult(null, 'email', `"${invalid}" isn't a valid email address.`);
+  }
+  return createLinkResult(`mailto:${addresses.join(',')}${query}`, 'email');
+}
+
+/**
+ * parsePhoneLink - Parses the part of a tel: or sms: link after the scheme.
+ *  Spaces, dashes, dots and brackets are removed from the number.
+ *
+ * @param {string} scheme Either 'tel:' or 'sms:'.
+ * @param {string} rest The number, optionally followed by ?body=... for sms.
+ *
+ * @returns {object} Returns the result. See parseLink.
+ */
+function parsePhoneLink(scheme, rest) {
+  const type = linkTypes[scheme];
+  const { value, query } = splitQuery(rest);
+  if (!value) return createLinkResult(null, type, `Enter a phone number after ${scheme}.`);
+  const digits = value.replace(phoneFormatting, '');
+  if (!phonePattern.test(digits)) {
+    return createLinkResult(null, type, `"${value}" isn't a valid phone number.`);
+  }
+  return createLinkResult(`${scheme}${digits}${query}`, type);
+}
+
+/**
+ * parseWebLink - Parses an http(s) link.
+ *
+ * @param {string} url The link, including its scheme.
+ *
+ * @returns {object} Returns the result. See parseLink.
+ */
+function parseWebLink(url) {
+  if (/\s/.test(url)) return createLinkResult(null, 'web', 'URLs can\'t contain spaces.');
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (exc) {
+    return createLinkResult(null, 'web', `"${url}" isn't formatted like a web address.`);
+  }
+  if (!hostnamePattern.test(parsed.hostname)) {
+    return createLinkResult(null, 'web', `"${parsed.hostname || url}" isn't a valid website.`);
+  }
+  return createLinkResult(parsed.href, 'web');
+}
+
+/**
+ * getLinkScheme - Gets the scheme a link starts with, if any.
+ *
+ * @param {string} link The link.
+ *
+ * @returns {string|null} Returns the scheme in lower case including its
+ *  colon, eg. 'mailto:', or null if the link has none. A host followed by a
+ *  port, eg. "example.com:8080", isn't mistaken for a scheme.
+ */
+export function getLinkScheme(link) {
+  const match = link.match(/^([a-z][a-z0-9+-]*):([0-9])?/i);
+  if (!match) return null;
+  const scheme = `${match[1].toLowerCase()}:`;
+  // Phone numbers follow tel: and sms: directly, so digits don't mean a port.
+  if (match[2] && !linkTypes[scheme]) return null;
+  return scheme;
+}
+
+/**
+ * parseLink - Parses and normalizes a link entered by the user. Web links,
+ *  email (mailto:), phone (tel:) and text message (sms:) links are
+ *  understood. Web addresses without a scheme are given https:// and email
+ *  addresses without one are given mailto:.
+ *
+ * @param {string} link The link to parse.
+ *
+ * @returns {object} Returns { valid, url, type, error } where url is the
+ *  normalized link (null if invalid), type is 'web', 'email', 'phone' or 'sms'
+ *  (null if unknown) and error is a message describing why the link is
+ *  invalid, suitable for showing the user (null if valid).
+ */
+export function parseLink(link) {
+  const trimmed = (link || '').trim();
+  if (!trimmed) return createLinkResult(null, null, 'Enter a URL.');
+  const scheme = getLinkScheme(trimmed);
+  if (!scheme) {
+    if (emailPattern.test(trimmed)) return parseEmailLink(trimmed);
+    return parseWebLink(`https://${trimmed.replace(/^\/\//, '')}`);
+  }
+  const rest = trimmed.slice(scheme.length);
+  if (scheme === 'mailto:') return parseEmailLink(rest);
+  if (scheme === 'tel:' || scheme === 'sms:') return parsePhoneLink(scheme, rest);
+  if (linkTypes[scheme] === 'web') return parseWebLink(`${scheme}${rest}`);
+  return createLinkResult(
+    null,
+    null,
+    `"${scheme}" links aren't supported. Use a web address, mailto:, tel: or sms:.`,
+  );
 }
 
 export function generateStandardButton(innerHTML, addOptions = {}) {
@@ -152,6 +317,31 @@ export function cleanFileName(string) {
   return cleanedString;
 }
 
+/**
+ * downloadFile - Prompts the browser to download a file with the given
+ *  contents.
+ *
+ * @param {string} fileName The name of the file, including its extension.
+ * @param {string} contents The contents of the file.
+ * @param {string} [mimeType=text/plain] The MIME type of the file.
+ *
+ * @returns {string} Returns the name of the file.
+ */
+export function downloadFile(fileName, contents, mimeType = 'text/plain') {
+  const downloadLink = generateElement(
+    'a',
+    {
+      href: `data:${mimeType};charset=utf-8,${encodeURIComponent(contents)}`,
+      download: fileName,
+      style: { display: 'none' },
+    },
+  );
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+  return fileName;
+}
+
 /**
  * appendChildren - Append multiple children to a target node.
  *
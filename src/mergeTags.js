@@ -0,0 +1,146 @@
+import { generateElement } from './lib.js';
+
+/*
+ * Merge tags personalize an email for each recipient. GRS replaces each
+ * placeholder, eg. %%FirstName%%, with the recipient's details when the email
+ * is sent. In the editor, merge tags are shown as chips which can't be
+ * edited, so they can't be mistyped:
+ *
+ * <span class="mergeTag" contenteditable="false" data-merge-tag="FirstName">First Name</span>
+ *
+ * and are converted back to placeholders when the email is exported.
+ * Placeholders typed by hand are also recognized.
+ */
+
+export const mergeTags = [
+  { key: 'FirstName', label: 'First Name', sample: 'Alex' },
+  { key: 'LastName', label: 'Last Name', sample: 'Morgan' },
+  { key: 'ProgramName', label: 'Program Name', sample: 'Semester in Seville, Spain' },
+  { key: 'Term', label: 'Term', sample: 'Fall 2019' },
+  { key: 'AdvisorName', label: 'Advisor Name', sample: 'Jordan Lee' },
+  { key: 'AdvisorEmail', label: 'Advisor Email', sample: 'advisor@studiesabroad.com' },
+];
+
+export const mergeTagAttribute = 'data-merge-tag';
+const mergeTagClass = 'mergeTag';
+// Matches a placeholder, capturing its key.
+const placeholderPattern = /%%([^%\s]*)%%/g;
+
+/**
+ * formatPlaceholder - Writes a merge tag in GRS's placeholder syntax.
+ *
+ * @param {string} key The key of the merge tag, eg. 'FirstName'.
+ *
+ * @returns {string} Returns the placeholder, eg. '%%FirstName%%'.
+ */
+export function formatPlaceholder(key) {
+  return `%%${key}%%`;
+}
+
+/**
+ * findMergeTag - Finds a merge tag by its key.
+ *
+ * @param {string} key The key of the merge tag.
+ *
+ * @returns {object|undefined} Returns the merge tag, or undefined if there is
+ *  no merge tag with that key.
+ */
+export function findMergeTag(key) {
+  return mergeTags.find(tag => tag.key === key);
+}
+
+/**
+ * generateMergeTag - Creates the chip representing a merge tag in the editor.
+ *
+ * @param {string} key The key of the merge tag.
+ *
+ * @returns {Element} Returns the chip.
+ */
+export function generateMergeTag(key) {
+  const tag = findMergeTag(key);
+  return generateElement('span', {
+    klasses: [mergeTagClass],
+    contenteditable: 'false',
+    [mergeTagAttribute]: key,
+    title: formatPlaceholder(key),
+    textContent: tag ? tag.label : key,
+  });
+}
+
+/**
+ * getMergeTagKey - Gets the key of a merge tag chip.
+ *
+ * @param {Node} node The node to check.
+ *
+ * @returns {string|null} Returns the key, or null if node isn't a chip.
+ */
+export function getMergeTagKey(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE || !node.hasAttribute(mergeTagAttribute)) return null;
+  return node.getAttribute(mergeTagAttribute);
+}
+
+/**
+ * findPlaceholders - Finds the placeholders in a piece of text.
+ *
+ * @param {string} text The text to search.
+ *
+ * @returns {string[]} Returns the key of each placeholder, in order.
+ */
+export function findPlaceholders(text) {
+  const keys = [];
+  text.replace(placeholderPattern, (placeholder, key) => keys.push(key));
+  return keys;
+}
+
+/**
+ * findUsedMergeTags - Finds the merge tags used in an editor, both as chips
+ *  and as placeholders typed by hand.
+ *
+ * @param {Element} $editor The .wf__editor element.
+ *
+ * @returns {object[]} Returns { key, $el } for each merge tag, in order,
+ *  where $el is the chip or the section containing the placeholder.
+ */
+export function findUsedMergeTags($editor) {
+  const used = [];
+  Array.from($editor.children).forEach(($block) => {
+    Array.from($block.querySelectorAll(`[${mergeTagAttribute}]`)).forEach(($chip) => {
+      used.push({ key: getMergeTagKey($chip), $el: $chip });
+    });
+    findPlaceholders($block.textContent).forEach(key => used.push({ key, $el: $block }));
+  });
+  return used;
+}
+
+/**
+ * fillPlaceholders - Replaces the placeholders in some text with a
+ *  recipient's details.
+ *
+ * @param {string} text The text, eg. the exported HTML of the email.
+ * @param {object} recipient The recipient's details, keyed by merge tag key.
+ * @param {function} [escape] An optional function called to escape each value,
+ *  eg. for use in HTML.
+ *
+ * @returns {string} Returns the text. Placeholders the recipient has no value
+ *  for are left as they are.
+ */
+export function fillPlaceholders(text, recipient, escape = value => value) {
+  return text.replace(placeholderPattern, (placeholder, key) => {
+    const value = recipient[key];
+    return value === undefined || value === '' ? placeholder : escape(String(value));
+  });
+}
+
+/**
+ * generateSampleRecipient - Creates a recipient with the sample value of
+ *  every merge tag.
+ *
+ * @returns {object} Returns the recipient.
+ */
+export function generateSampleRecipient() {
+  const recipient = {};
+  mergeTags.forEach((tag) => {
+    recipient[tag.key] = tag.sample;
+  });
+  return recipient;
+}
@@ -0,0 +1,312 @@
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+  parseLink,
+} from '../lib.js';
+import {
+  ColorField,
+  NumberField,
+  SelectField,
+  TextAreaField,
+  TextField,
+} from './settingsFields';
+import { blockTypes, generateContentBlock } from '../contentBlocks.js';
+import { generateTextSection } from '../emailStyle.js';
+
+const spacerRange = { min: 5, max: 100, step: 1 };
+
+const imageSides = [
+  { value: 'left', text: 'Left' },
+  { value: 'right', text: 'Right' },
+];
+
+/**
+ * checkRequired - Checks that fields have been filled in.
+ *
+ * @param {object} values The values of the fields.
+ * @param {Array[]} required The fields to check, as [key, message] pairs.
+ *
+ * @returns {Array[]} Returns a [key, message] pair for each empty field.
+ */
+function checkRequired(values, required) {
+  return required.filter(([key]) => !values[key].trim());
+}
+
+/**
+ * checkLink - Checks the link of a field, if it has one.
+ *
+ * @param {object} values The values of the fields.
+ * @param {string} key The key of the field.
+ * @param {string} [type] The kind of link required, eg. 'web'.
+ * @param {string} [message] The problem shown if the link is of another kind.
+ *
+ * @returns {Array[]} Returns a [key, message] pair if the link is invalid.
+ */
+function checkLink(values, key, type, message) {
+  if (!values[key].trim()) return [];
+  const link = parseLink(values[key]);
+  if (!link.valid) return [[key, link.error]];
+  if (type && link.type !== type) return [[key, message]];
+  return [];
+}
+
+/**
+ * readLines - Splits text into its lines, leaving out blank ones.
+ *
+ * @param {string} text The text.
+ *
+ * @returns {string[]} Returns the trimmed lines.
+ */
+function readLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(line => line);
+}
+
+/*
+ * The blocks the dialog inserts. Each tab lists its fields as
+ * [FieldType, key, label] triples, checks their values and builds the
+ * settings of the block from them (see contentBlocks.js). The fields of every
+ * tab are loaded from generateValues.
+ */
+const blockTabs = {
+  button: {
+    fields: [
+      [TextField, 'buttonText', 'Button Text'],
+      [TextField, 'buttonURL', 'Link'],
+      [ColorField, 'buttonColor', 'Text Color'],
+      [ColorField, 'buttonBackground', 'Button Color'],
+    ],
+    check: values => checkRequired(values, [
+      ['buttonText', 'Enter the text of the button.'],
+      ['buttonURL', 'Enter a URL.'],
+    ]).concat(checkLink(values, 'buttonURL')),
+    build: values => ({
+      text: values.buttonText.trim(),
+      url: parseLink(values.buttonURL).url,
+      color: values.buttonColor,
+      background: values.buttonBackground,
+    }),
+  },
+  spacer: {
+    fields: [
+      [NumberField, 'spacerHeight', 'Height (px)', spacerRange],
+    ],
+    check: () => [],
+    build: values => ({ height: values.spacerHeight }),
+  },
+  columns: {
+    fields: [
+      [TextField, 'columnsSrc', 'Image URL'],
+      [TextField, 'columnsAlt', 'Alt Text (describes the image)'],
+      [TextField, 'columnsHref', 'Image Link (optional)'],
+      [TextAreaField, 'columnsText', 'Text'],
+      [SelectField, 'columnsSide', 'Image Side', imageSides],
+    ],
+    check: values => checkRequired(values, [
+      ['columnsSrc', 'Enter the web address of the image.'],
+      ['columnsAlt', 'Describe the image for readers who can\'t see it.'],
+      ['columnsText', 'Enter the text to show beside the image.'],
+    ]).concat(
+      checkLink(values, 'columnsSrc', 'web', 'Enter the web address of the image.'),
+      checkLink(values, 'columnsHref'),
+    ),
+    build: values => ({
+      src: parseLink(values.columnsSrc).url,
+      alt: values.columnsAlt.trim(),
+      href: values.columnsHref.trim() ? parseLink(values.columnsHref).url : '',
+      text: values.columnsText.trim(),
+      imageSide: values.columnsSide,
+    }),
+  },
+  callout: {
+    fields: [
+      [TextAreaField, 'calloutText', 'Text'],
+      [ColorField, 'calloutBackground', 'Background Color'],
+      [ColorField, 'calloutAccent', 'Border Color'],
+    ],
+    check: values => checkRequired(values, [['calloutText', 'Enter the text of the callout.']]),
+    build: values => ({
+      text: values.calloutText.trim(),
+      background: values.calloutBackground,
+      accent: values.calloutAccent,
+    }),
+  },
+  list: {
+    fields: [
+      [TextAreaField, 'listItems', 'Items (one per line)'],
+    ],
+    check: values => (readLines(values.listItems).length > 0 ? [] : [['listItems', 'Enter at least one item.']]),
+    build: values => ({ items: readLines(values.listItems) }),
+  },
+};
+
+/**
+ * generateValues - Creates the values the dialog's fields are loaded from.
+ *  Buttons and callouts start in the colors of the email's brand.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ *
+ * @returns {object} Returns the default values.
+ */
+function generateValues(docInfo) {
+  return {
+    buttonText: '',
+    buttonURL: '',
+    buttonColor: docInfo.brand.cta.color,
+    buttonBackground: docInfo.brand.cta.background,
+    spacerHeight: 20,
+    columnsSrc: '',
+    columnsAlt: '',
+    columnsHref: '',
+    columnsText: '',
+    columnsSide: 'left',
+    calloutText: '',
+    calloutBackground: '#fff4d6',
+    calloutAccent: docInfo.brand.cta.background,
+    listItems: '',
+  };
+}
+
+const BlockView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Insert Block' }),
+  $description: generateElement(
+    'p',
+    { textContent: 'Blocks are built from tables so they look the same in every email client. Click in your email where the block should go, then choose a block. To change a block, delete it and insert it again.' },
+  ),
+  $tabBar: generateElement('div', { klasses: ['blockView__tabs'] }),
+  $message: generateElement('div', { klasses: ['blockView__message'] }),
+
+  /**
+   * init - Initialize the block dialog. The block dialog inserts content
+   *  blocks, eg. a button or a callout, at the selection in the editor.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {EditorSelection} selection The selection in the editor.
+   *
+   * @returns {BlockView} Returns this view.
+   */
+  init(modal, getDocInfo, selection) {
+    this.modal = modal;
+    this.getDocInfo = getDocInfo;
+    this.selection = selection;
+    this.values = {};
+    this.tabs = {};
+    this.fields = {};
+
+    const $fields = generateElement('div', { klasses: ['blockView__fields'] });
+    Object.keys(blockTabs).forEach((name) => {
+      const tab = { $btn: generateStandardButton(blockTypes[name].name, { klasses: ['blockView__tab'] }) };
+      tab.$btn.addEventListener('click', this.showTab.bind(this, name));
+      tab.fields = blockTabs[name].fields.map(([FieldType, key, label, extra]) => {
+        const field = Object.create(FieldType);
+        if (FieldType === NumberField) {
+          field.init(this.values, label, key, extra);
+        } else {
+          field.init(this.values, label, key);
+        }
+        if (FieldType === SelectField) field.setOptions(extra);
+        this.fields[key] = field;
+        $fields.appendChild(field.ctn);
+        return field;
+      });
+      this.$tabBar.appendChild(tab.$btn);
+      this.tabs[name] = tab;
+    });
+
+    appendChildren(this.$ctn, [
+      this.$heading,
+      this.$description,
+      this.$tabBar,
+      $fields,
+      this.$message,
+    ]);
+    return this;
+  },
+
+  /**
+   * showTab - Displays the fields for the given kind of block.
+   *
+   * @param {string} name A key of blockTabs.
+   *
+   */
+  showTab(name) {
+    this.currentTab = name;
+    Object.keys(this.tabs).forEach((tabName) => {
+      const tab = this.tabs[tabName];
+      tab.$btn.classList.toggle('blockView__tab--active', tabName === name);
+      tab.fields.forEach(field => field.ctn.classList.toggle('hide', tabName !== name));
+    });
+  },
+
+  /**
+   * readValues - Reads the values of the current tab's fields. Values which
+   *  can't be read, eg. numbers out of range, are shown as errors.
+   *
+   * @returns {object|null} Returns the values, or null if any are invalid.
+   */
+  readValues() {
+    const values = {};
+    let valid = true;
+    blockTabs[this.currentTab].fields.forEach(([, key]) => {
+      try {
+        values[key] = this.fields[key].value();
+      } catch (err) {
+        this.fields[key].showError(err.message);
+        valid = false;
+      }
+    });
+    return valid ? values : null;
+  },
+
+  /**
+   * save - Inserts the block at the selection in the editor.
+   *
+   * @returns {boolean} Returns true if the block was inserted. Returns false
+   *  if it is invalid or there's nowhere to put it, in which case the problem
+   *  is shown.
+   */
+  save() {
+    Object.keys(this.fields).forEach(key => this.fields[key].hideError());
+    this.$message.textContent = '';
+    const tab = blockTabs[this.currentTab];
+    const values = this.readValues();
+    if (!values) return false;
+    const problems = tab.check(values);
+    if (problems.length > 0) {
+      problems.forEach(([key, message]) => this.fields[key].showError(message));
+      return false;
+    }
+    const { style } = this.getDocInfo();
+    const $block = generateContentBlock(this.currentTab, tab.build(values), style);
+    if (!this.selection.insertSections([$block], generateTextSection(style))) {
+      this.$message.textContent = 'Click in your email where the block should go, then try again.';
+      return false;
+    }
+    this.modal.hide();
+    return true;
+  },
+
+  /**
+   * display - Displays the dialog, utilizing the modal. The fields start
+   *  empty, in the colors of the email's brand.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    Object.assign(this.values, generateValues(this.getDocInfo()));
+    Object.keys(this.fields).forEach((key) => {
+      const field = this.fields[key];
+      field.load();
+      field.hideError();
+    });
+    this.$message.textContent = '';
+    this.showTab(this.currentTab || 'button');
+    this.modal.setSaveHandler('Insert Block', this.save.bind(this));
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default BlockView;
@@ -0,0 +1,104 @@
+import { appendChildren, generateElement } from '../lib.js';
+
+// How long an element stays highlighted after jumping to it, in ms.
+const highlightDuration = 2000;
+
+const CheckView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Check Email' }),
+  $summary: generateElement('p'),
+  $list: generateElement('ul', { klasses: ['checkView__list'] }),
+
+  /**
+   * init - Initialize the check view. The check view lists the problems found
+   *  by checkEmail. Clicking a problem closes the modal and jumps to the
+   *  element it concerns.
+   *
+   * @param {Modal} modal The Modal in which the CheckView will be displayed.
+   * @param {function} [revealCallback] An optional function called before
+   *  jumping to a problem, eg. to make sure the editor is visible.
+   *
+   * @returns {CheckView} Returns this view.
+   */
+  init(modal, revealCallback = null) {
+    this.modal = modal;
+    this.revealCallback = revealCallback;
+    appendChildren(this.$ctn, [this.$heading, this.$summary, this.$list]);
+    return this;
+  },
+
+  /**
+   * render - Renders the given problems.
+   *
+   * @param {object[]} issues The problems found by checkEmail.
+   *
+   */
+  render(issues) {
+    this.$list.innerHTML = '';
+    if (issues.length === 0) {
+      this.$summary.textContent = 'No problems found. Your email is ready to send.';
+      return;
+    }
+    const errors = issues.filter(issue => issue.level === 'error').length;
+    const warnings = issues.length - errors;
+    this.$summary.textContent = `Found ${errors} error${errors === 1 ? '' : 's'} and ${warnings} warning${warnings === 1 ? '' : 's'}. Click a problem to find it in your email.`;
+    issues.forEach((issue) => {
+      const $item = generateElement('li', {
+        klasses: ['checkView__issue', `checkView__issue--${issue.level}`],
+      });
+      appendChildren($item, [
+        generateElement('span', { klasses: ['checkView__level'], textContent: issue.level }),
+        generateElement('span', { textContent: issue.message }),
+      ]);
+      if (issue.$target) {
+        $item.classList.add('checkView__issue--link');
+        $item.addEventListener('click', this.jumpTo.bind(this, issue.$target));
+      }
+      this.$list.appendChild($item);
+    });
+  },
+
+  /**
+   * jumpTo - Closes the modal, scrolls to the given element and briefly
+   *  highlights it. The highlight is drawn over the element rather than added
+   *  to it, so the email itself doesn't change.
+   *
+   * @param {Element} $target The element to jump to.
+   *
+   */
+  jumpTo($target) {
+    this.modal.hide();
+    if (this.revealCallback) this.revealCallback();
+    $target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const rect = $target.getBoundingClientRect();
+    const $highlight = generateElement('div', {
+      klasses: ['checkView__highlight'],
+      style: {
+        top: `${rect.top + window.pageYOffset}px`,
+        left: `${rect.left + window.pageXOffset}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+      },
+    });
+    document.body.appendChild($highlight);
+    setTimeout(() => document.body.removeChild($highlight), highlightDuration);
+  },
+
+  /**
+   * display - Displays the given problems, utilizing the modal.
+   *
+   * @param {object[]} issues The problems found by checkEmail.
+   * @param {function} [continueCallback=null] If given, the modal's save
+   *  button reads "Copy Anyway" and calls this function, eg. when the check
+   *  was run before copying the email.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display(issues, continueCallback = null) {
+    this.render(issues);
+    this.modal.setSaveHandler('Copy Anyway', continueCallback);
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default CheckView;
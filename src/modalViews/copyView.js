@@ -1,22 +1,42 @@
-import { generateElement } from '../lib.js';
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+} from '../lib.js';
+
+const textareaStyle = {
+  width: '35rem',
+  height: '10rem',
+  resize: 'vertical',
+};
+
+/**
+ * generateTab - Creates one of the tabs of the copy view.
+ *
+ * @param {string} label The text of the tab's button.
+ * @param {string} copyText The text of the modal's copy button on this tab.
+ * @param {string} successMsg The message displayed once the tab is copied.
+ *
+ * @returns {object} Returns the tab.
+ */
+function generateTab(label, copyText, successMsg) {
+  return {
+    copyText,
+    successMsg,
+    $btn: generateStandardButton(label, { klasses: ['copyView__tab'] }),
+    $textarea: generateElement('textarea', { style: textareaStyle }),
+  };
+}
 
 const CopyView = {
   $ctn: generateElement('div'),
   $heading: generateElement('h1', { textContent: 'Copy Your Email' }),
   $description: generateElement('p'),
-  $textarea: generateElement(
-    'textarea',
-    {
-      style: {
-        width: '35rem',
-        height: '10rem',
-        resize: 'vertical',
-      },
-    },
-  ),
+  $tabBar: generateElement('div', { klasses: ['copyView__tabs'] }),
   /**
-   * init - Initialize the copy view. The copy view displays a text box filled
-   *  with the content of the email editor.
+   * init - Initialize the copy view. The copy view displays text boxes filled
+   *  with the HTML of the email and its plain-text version, each on its own
+   *  tab.
    *
    * @param {Modal} modal The Modal in which the CopyView will be displayed.
    *
@@ -25,32 +45,61 @@ const CopyView = {
   init(modal) {
     this.modal = modal;
     this.$description.textContent = 'Copy the code for your email below.';
+    this.tabs = {
+      html: generateTab('HTML', 'Copy', 'You can now paste the email content into GRS.'),
+      text: generateTab('Plain Text', 'Copy Plain Text', 'You can now paste the plain-text version into GRS.'),
+    };
+    this.currentTab = 'html';
 
-    this.$ctn.appendChild(this.$heading);
-    this.$ctn.appendChild(this.$description);
-    this.$ctn.appendChild(this.$textarea);
+    appendChildren(this.$ctn, [this.$heading, this.$description, this.$tabBar]);
+    Object.keys(this.tabs).forEach((name) => {
+      const tab = this.tabs[name];
+      tab.$btn.addEventListener('click', this.showTab.bind(this, name));
+      this.$tabBar.appendChild(tab.$btn);
+      this.$ctn.appendChild(tab.$textarea);
+    });
     return this;
   },
 
+  /**
+   * showTab - Displays the given tab and hides the others. The modal's copy
+   *  button copies whichever tab is displayed.
+   *
+   * @param {string} name The name of the tab, 'html' or 'text'.
+   *
+   */
+  showTab(name) {
+    this.currentTab = name;
+    Object.keys(this.tabs).forEach((tabName) => {
+      const tab = this.tabs[tabName];
+      tab.$btn.classList.toggle('copyView__tab--active', tabName === name);
+      tab.$textarea.classList.toggle('hide', tabName !== name);
+    });
+    this.modal.setSaveHandler(this.tabs[name].copyText, this.copyContents.bind(this));
+  },
+
   /**
    * fillText - Fill the view with the text to be copied.
    *
-   * @param {string} text The text to be copied.
+   * @param {string} html The HTML of the email.
+   * @param {string} [text=''] The plain-text version of the email.
    *
    */
-  fillText(text) {
-    this.$textarea.value = text;
-    return this.$textarea;
+  fillText(html, text = '') {
+    this.tabs.html.$textarea.value = html;
+    this.tabs.text.$textarea.value = text;
+    return this.tabs.html.$textarea;
   },
 
   /**
-   * copyContents - Copy the contents of the copy view.
+   * copyContents - Copy the contents of the current tab of the copy view.
    *
    * @returns {string} Returns the copied content.
    */
   copyContents() {
-    this.$textarea.focus();
-    this.$textarea.select();
+    const tab = this.tabs[this.currentTab];
+    tab.$textarea.focus();
+    tab.$textarea.select();
     let successful;
     try {
       successful = document.execCommand('copy');
@@ -59,7 +108,7 @@ const CopyView = {
     }
     if (successful) {
       this.$heading.textContent = 'Email Content Copied!';
-      this.$description.textContent = 'You can now paste the email content into GRS.';
+      this.$description.textContent = tab.successMsg;
     } else {
       this.$heading.textContent = 'Uh oh...';
       this.$description.textContent = "We couldn't copy the email content. Try again or manually copy the content below";
@@ -70,23 +119,26 @@ const CopyView = {
   /**
    * display - Displays the view, utilizing the modal.
    *
+   * @param {string} [tabName=html] The tab to display.
+   *
    * @returns {Element} Returns the modal containing this view.
    */
-  display() {
-    this.modal.setSaveHandler('Copy', this.copyContents.bind(this));
+  display(tabName = 'html') {
+    this.showTab(tabName);
     return this.modal.display(this.$ctn);
   },
 
   /**
    * displayAndCopy - This function fills, copies, and displays the copyView in
-   *  one fell swoop.
+   *  one fell swoop. The HTML tab is displayed and copied.
    *
-   * @param {string} content The content to be displayed/copied.
+   * @param {string} html The HTML of the email.
+   * @param {string} [text=''] The plain-text version of the email.
    *
    * @returns {boolean} Returns true if successfully copied. Else returns false.
    */
-  displayAndCopy(content) {
-    this.fillText(content);
+  displayAndCopy(html, text = '') {
+    this.fillText(html, text);
     this.display();
     return this.copyContents();
   },
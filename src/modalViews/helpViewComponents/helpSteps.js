@@ -86,7 +86,8 @@ grsHelpSteps[3] = ['4. Add Email Headers', `
     choosing the Google Campaign Name, Campaign Source, and Campaign Medium. These
     are used by marketing to track the success of email campaigns. You should
     coordinate with the marketing department to determine the best values of these
-    fields for your email.
+    fields for your email. Enter the same values in the campaign fields of the
+    editor's Settings so the links in your email are tracked too.
   </p>
   <p>
     Once your settings look similar to those above, move on to the next step by
@@ -104,12 +105,16 @@ grsHelpSteps[4] = ['5. Finish the Template Shell', `
   <p>Start by filling out the Email Subject, Preview, and Title fields as follows:</p>
   <dl>
     <dt>Email Subject</dt>
-    <dd>This is the subject of your email. Your subject should be captivating but concise.</dd>
+    <dd>
+      This is the subject of your email. Your subject should be captivating but
+      concise. Copy it from the "Email Subject" in the editor's Settings.
+    </dd>
     <dt>Email Preview</dt>
     <dd>
       This is the small blurb displayed to recipients in their email client
       before actually opening the email. You should write a sentence or two here
       which summarizes your email and/or entices your recipient to open your email.
+      Copy it from the "Email Preview" in the editor's Settings.
     </dd>
     <dt>Email Title</dt>
     <dd>
@@ -0,0 +1,208 @@
+import { appendChildren, generateElement } from '../lib.js';
+
+/*
+ * The number of characters of the subject and preview text each inbox shows
+ * before cutting them off. These are typical values; the exact number depends
+ * on the font, the screen and the client's settings.
+ */
+const inboxes = [
+  {
+    name: 'Gmail - Desktop', klass: 'gmail', layout: 'desktop', subjectLimit: 70, previewLimit: 100,
+  },
+  {
+    name: 'Gmail - Mobile', klass: 'gmail', layout: 'mobile', subjectLimit: 35, previewLimit: 90,
+  },
+  {
+    name: 'Outlook - Desktop', klass: 'outlook', layout: 'desktop', subjectLimit: 55, previewLimit: 100,
+  },
+  {
+    name: 'Outlook - Mobile', klass: 'outlook', layout: 'mobile', subjectLimit: 40, previewLimit: 85,
+  },
+];
+
+const sentTime = '9:41 AM';
+
+/**
+ * truncate - Cuts text off at the given number of characters, as an inbox
+ *  would.
+ *
+ * @param {string} text The text to truncate.
+ * @param {number} limit The maximum number of characters.
+ *
+ * @returns {string} Returns the text, with an ellipsis if it was cut off.
+ */
+function truncate(text, limit) {
+  if (text.length <= limit) return text;
+  return `${text.slice(0, limit - 1).trim()}…`;
+}
+
+/**
+ * getFirstText - Gets the start of the text of an email, which inboxes show as
+ *  the preview when there's no preheader.
+ *
+ * @param {object} docInfo The docInfo of the email.
+ *
+ * @returns {string} Returns the text, with whitespace collapsed.
+ */
+function getFirstText(docInfo) {
+  const html = new DOMParser().parseFromString(docInfo.contents, 'text/html');
+  const $editor = html.body.firstElementChild;
+  return Array.from($editor.children)
+    .map($block => $block.textContent)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * generateCounter - Creates a character counter for a preview input.
+ *
+ * @param {HTMLInputElement} $input The input to count.
+ * @param {string} limitKey The key of the inboxes' limit for this input.
+ *
+ * @returns {Element} Returns the counter. Call its update method to refresh it.
+ */
+function generateCounter($input, limitKey) {
+  const $counter = generateElement('div', { klasses: ['inboxPreview__counter'] });
+  $counter.update = () => {
+    const { length } = $input.value.trim();
+    const cutOffIn = inboxes.filter(inbox => length > inbox[limitKey]).map(inbox => inbox.name);
+    $counter.textContent = cutOffIn.length > 0
+      ? `${length} characters. Cut off in ${cutOffIn.join(', ')}.`
+      : `${length} characters. Fits in every inbox.`;
+    $counter.classList.toggle('inboxPreview__counter--over', cutOffIn.length > 0);
+  };
+  return $counter;
+}
+
+const InboxPreviewView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Inbox Preview' }),
+  $description: generateElement(
+    'p',
+    { textContent: 'See how your email will look in your recipients\' inboxes. Edit the subject and preview text below to try out changes.' },
+  ),
+  $subjectInput: generateElement('input', { type: 'text' }),
+  $preheaderInput: generateElement('input', { type: 'text' }),
+  $inboxes: generateElement('div', { klasses: ['inboxPreview'] }),
+
+  /**
+   * init - Initialize the inbox preview. The inbox preview shows simulated
+   *  inbox rows for the email in Gmail and Outlook, on desktop and mobile.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {function} [onSave] An optional function called once changes to
+   *  the subject and preview text have been saved.
+   *
+   * @returns {InboxPreviewView} Returns this view.
+   */
+  init(modal, getDocInfo, onSave = null) {
+    this.modal = modal;
+    this.getDocInfo = getDocInfo;
+    this.onSave = onSave;
+    this.$subjectCounter = generateCounter(this.$subjectInput, 'subjectLimit');
+    this.$preheaderCounter = generateCounter(this.$preheaderInput, 'previewLimit');
+
+    const $fields = generateElement('div', { klasses: ['settingsField'], style: { 'text-align': 'left' } });
+    appendChildren($fields, [
+      generateElement('label', { textContent: 'Email Subject' }),
+      this.$subjectInput,
+      this.$subjectCounter,
+      generateElement('label', { textContent: 'Email Preview' }),
+      this.$preheaderInput,
+      this.$preheaderCounter,
+    ]);
+    appendChildren(this.$ctn, [this.$heading, this.$description, $fields, this.$inboxes]);
+    this.$subjectInput.addEventListener('input', this.render.bind(this));
+    this.$preheaderInput.addEventListener('input', this.render.bind(this));
+    return this;
+  },
+
+  /**
+   * render - Renders a row for each inbox using the current values of the
+   *  inputs, and updates the character counters.
+   *
+   */
+  render() {
+    const docInfo = this.getDocInfo();
+    // Like the .eml export, the title stands in until there's a subject.
+    const subject = this.$subjectInput.value.trim() || docInfo.title;
+    const preview = this.$preheaderInput.value.trim() || getFirstText(docInfo);
+    this.$subjectCounter.update();
+    this.$preheaderCounter.update();
+    this.$inboxes.innerHTML = '';
+    inboxes.forEach((inbox) => {
+      this.$inboxes.appendChild(this.renderInbox(
+        inbox,
+        docInfo.brand.sender.name,
+        truncate(subject, inbox.subjectLimit),
+        truncate(preview, inbox.previewLimit),
+      ));
+    });
+  },
+
+  /**
+   * renderInbox - Creates the simulated row for a single inbox.
+   *
+   * @param {object} inbox The inbox to simulate.
+   * @param {string} sender The name of the sender, from the email's brand.
+   * @param {string} subject The subject, already truncated.
+   * @param {string} preview The preview text, already truncated.
+   *
+   * @returns {Element} Returns the inbox, with its name as a caption.
+   */
+  renderInbox(inbox, sender, subject, preview) {
+    const $ctn = generateElement('div', { klasses: ['inboxPreview__inbox'] });
+    const $row = generateElement('div', {
+      klasses: [
+        'inboxPreview__row',
+        `inboxPreview__row--${inbox.klass}`,
+        `inboxPreview__row--${inbox.layout}`,
+      ],
+    });
+    appendChildren($row, [
+      generateElement('span', { klasses: ['inboxPreview__sender'], textContent: sender }),
+      generateElement('span', { klasses: ['inboxPreview__time'], textContent: sentTime }),
+      generateElement('span', { klasses: ['inboxPreview__subject'], textContent: subject }),
+      generateElement('span', { klasses: ['inboxPreview__preview'], textContent: preview }),
+    ]);
+    appendChildren($ctn, [
+      generateElement('div', { klasses: ['inboxPreview__name'], textContent: inbox.name }),
+      $row,
+    ]);
+    return $ctn;
+  },
+
+  /**
+   * save - Saves the subject and preview text to the docInfo.
+   *
+   * @returns {boolean} Returns true.
+   */
+  save() {
+    const docInfo = this.getDocInfo();
+    docInfo.subject = this.$subjectInput.value.trim();
+    docInfo.preheader = this.$preheaderInput.value.trim();
+    if (this.onSave) this.onSave();
+    this.modal.hide();
+    return true;
+  },
+
+  /**
+   * display - Fills the inputs from the current email and displays this view,
+   *  utilizing the modal.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    const docInfo = this.getDocInfo();
+    this.$subjectInput.value = docInfo.subject;
+    this.$preheaderInput.value = docInfo.preheader;
+    this.render();
+    this.modal.setSaveHandler('Save', this.save.bind(this));
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default InboxPreviewView;
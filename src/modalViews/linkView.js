@@ -0,0 +1,374 @@
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+  parseLink,
+} from '../lib.js';
+import { TextField, SwitchField } from './settingsFields';
+import { defaultLinks } from '../ctaButtons.js';
+import {
+  generateContent,
+  isOptedOut,
+  setOptOut,
+  tagURL,
+} from '../export/campaignTags.js';
+
+const [advisingLink] = defaultLinks;
+
+/**
+ * buildQuery - Builds the query string of a mailto: or sms: link. Spaces are
+ *  encoded as %20 since mail and messaging apps don't understand "+".
+ *
+ * @param {object} params The parameters. Empty values are left out.
+ *
+ * @returns {string} Returns the query string including its leading "?", or an
+ *  empty string if there are no parameters.
+ */
+function buildQuery(params) {
+  const query = Object.keys(params)
+    .filter(key => params[key].trim())
+    .map(key => `${key}=${encodeURIComponent(params[key].trim())}`)
+    .join('&');
+  return query ? `?${query}` : '';
+}
+
+/**
+ * readQuery - Reads the parameters of a mailto: or sms: link.
+ *
+ * @param {string} href The link.
+ *
+ * @returns {object} Returns { value, params } where value is the part of the
+ *  link between its scheme and query string.
+ */
+function readQuery(href) {
+  const [value, query = ''] = href.slice(href.indexOf(':') + 1).split('?');
+  const params = {};
+  query.split('&').filter(pair => pair).forEach((pair) => {
+    const [key, val = ''] = pair.split('=');
+    try {
+      params[key.toLowerCase()] = decodeURIComponent(val.replace(/\+/g, ' '));
+    } catch (exc) {
+      params[key.toLowerCase()] = val;
+    }
+  });
+  return { value, params };
+}
+
+/*
+ * The kinds of link the dialog builds. Each tab lists its fields as
+ * [key, label] pairs, builds the link from the values of the fields, and
+ * suggests the text of the link when nothing is selected. Tracked tabs build
+ * web links, which are tagged for the email's campaign.
+ */
+const linkTabs = {
+  web: {
+    label: 'Web Page',
+    fields: [['url', 'Web Address']],
+    tracked: true,
+    build: values => values.url,
+    defaultText: values => values.url.replace(/^https?:\/\//i, '').replace(/\/$/, ''),
+  },
+  email: {
+    label: 'Email Address',
+    fields: [['address', 'Email Address'], ['subject', 'Subject (optional)'], ['body', 'Message (optional)']],
+    build: values => `mailto:${values.address.trim()}${buildQuery({ subject: values.subject, body: values.body })}`,
+    defaultText: values => values.address,
+  },
+  phone: {
+    label: 'Phone',
+    fields: [['phone', 'Phone Number']],
+    build: values => `tel:${values.phone.trim()}`,
+    defaultText: values => values.phone,
+  },
+  sms: {
+    label: 'SMS',
+    fields: [['sms', 'Phone Number'], ['message', 'Message (optional)']],
+    build: values => `sms:${values.sms.trim()}${buildQuery({ body: values.message })}`,
+    defaultText: values => values.sms,
+  },
+  advising: {
+    label: 'Book Advising Session',
+    fields: [['advising', 'Booking Page']],
+    tracked: true,
+    build: values => values.advising,
+    defaultText: () => advisingLink.text,
+  },
+};
+
+/**
+ * generateValues - Creates the values the dialog's fields are loaded from.
+ *
+ * @returns {object} Returns the default values.
+ */
+function generateValues() {
+  return {
+    text: '',
+    url: '',
+    address: '',
+    subject: '',
+    body: '',
+    phone: '',
+    sms: '',
+    message: '',
+    advising: advisingLink.url,
+    tracking: true,
+  };
+}
+
+/**
+ * readLink - Works out which tab, and which values, would build an existing
+ *  link.
+ *
+ * @param {Element} $link The link.
+ *
+ * @returns {object} Returns { tab, values }.
+ */
+function readLink($link) {
+  const href = ($link.getAttribute('href') || '').trim();
+  const values = Object.assign(generateValues(), {
+    text: $link.textContent.trim(),
+    tracking: !isOptedOut($link),
+  });
+  const { type } = parseLink(href);
+  if (type === 'email') {
+    const { value, params } = readQuery(href);
+    Object.assign(values, { address: value, subject: params.subject || '', body: params.body || '' });
+    return { tab: 'email', values };
+  }
+  if (type === 'phone') return { tab: 'phone', values: Object.assign(values, { phone: readQuery(href).value }) };
+  if (type === 'sms') {
+    const { value, params } = readQuery(href);
+    return { tab: 'sms', values: Object.assign(values, { sms: value, message: params.body || '' }) };
+  }
+  if (href === advisingLink.url) return { tab: 'advising', values };
+  return { tab: 'web', values: Object.assign(values, { url: href }) };
+}
+
+const LinkView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1'),
+  $tabBar: generateElement('div', { klasses: ['linkView__tabs'] }),
+  $preview: generateElement('div', { klasses: ['linkView__preview'] }),
+  $message: generateElement('div', { klasses: ['linkView__message'] }),
+
+  /**
+   * init - Initialize the link dialog. The link dialog turns the text selected
+   *  in the editor into a link to a web page, an email address, a phone
+   *  number, a text message or the advising booking page, or edits the link
+   *  the selection is in.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {EditorSelection} selection The selection in the editor.
+   *
+   * @returns {LinkView} Returns this view.
+   */
+  init(modal, getDocInfo, selection) {
+    this.modal = modal;
+    this.getDocInfo = getDocInfo;
+    this.selection = selection;
+    this.values = generateValues();
+    this.tabs = {};
+    this.fields = {};
+
+    const $fields = generateElement('div', { klasses: ['linkView__fields'] });
+    Object.keys(linkTabs).forEach((name) => {
+      const tab = { $btn: generateStandardButton(linkTabs[name].label, { klasses: ['linkView__tab'] }) };
+      tab.$btn.addEventListener('click', this.showTab.bind(this, name));
+      tab.fields = linkTabs[name].fields.map(([key, label]) => {
+        this.fields[key] = Object.create(TextField).init(this.values, label, key);
+        $fields.appendChild(this.fields[key].ctn);
+        return this.fields[key];
+      });
+      this.$tabBar.appendChild(tab.$btn);
+      this.tabs[name] = tab;
+    });
+    this.fields.text = Object.create(TextField).init(this.values, 'Text to Display', 'text');
+    this.fields.tracking = Object.create(SwitchField);
+    this.fields.tracking.init(this.values, 'Track with the email\'s campaign (UTM)', 'tracking');
+    this.$removeBtn = generateStandardButton('Remove Link', { klasses: ['linkView__remove'] });
+    this.$removeBtn.addEventListener('click', this.removeLink.bind(this));
+
+    appendChildren(this.$ctn, [
+      this.$heading,
+      this.$tabBar,
+      $fields,
+      this.fields.text.ctn,
+      this.fields.tracking.ctn,
+      this.$preview,
+      this.$message,
+      this.$removeBtn,
+    ]);
+    this.$ctn.addEventListener('input', this.updatePreview.bind(this));
+    this.$ctn.addEventListener('change', this.updatePreview.bind(this));
+    return this;
+  },
+
+  /**
+   * readValues - Reads the current values of the fields.
+   *
+   * @returns {object} Returns the values, keyed like generateValues.
+   */
+  readValues() {
+    const values = {};
+    Object.keys(this.fields).forEach((key) => {
+      values[key] = this.fields[key].value();
+    });
+    return values;
+  },
+
+  /**
+   * showTab - Displays the fields for the given kind of link.
+   *
+   * @param {string} name A key of linkTabs.
+   *
+   */
+  showTab(name) {
+    this.currentTab = name;
+    Object.keys(this.tabs).forEach((tabName) => {
+      const tab = this.tabs[tabName];
+      tab.$btn.classList.toggle('linkView__tab--active', tabName === name);
+      tab.fields.forEach(field => field.ctn.classList.toggle('hide', tabName !== name));
+    });
+    this.fields.tracking.ctn.classList.toggle('hide', !linkTabs[name].tracked);
+    this.updatePreview();
+  },
+
+  /**
+   * buildLink - Builds the link from the current tab and values.
+   *
+   * @param {object} values The values of the fields.
+   *
+   * @returns {object} Returns the link parsed by parseLink.
+   */
+  buildLink(values) {
+    return parseLink(linkTabs[this.currentTab].build(values));
+  },
+
+  /**
+   * getText - Gets the text the link will have if nothing is selected.
+   *
+   * @param {object} values The values of the fields.
+   *
+   * @returns {string} Returns the text.
+   */
+  getText(values) {
+    return values.text.trim() || linkTabs[this.currentTab].defaultText(values).trim();
+  },
+
+  /**
+   * updatePreview - Shows where the link will go, including the campaign
+   *  parameters it will be given when the email is copied.
+   *
+   */
+  updatePreview() {
+    const values = this.readValues();
+    const link = this.buildLink(values);
+    this.$preview.innerHTML = '';
+    if (!link.valid) {
+      this.$preview.textContent = link.error;
+      this.$preview.classList.add('linkView__preview--invalid');
+      return;
+    }
+    let { url } = link;
+    if (linkTabs[this.currentTab].tracked && values.tracking) {
+      url = tagURL(url, this.getDocInfo().campaign, generateContent(this.getText(values), 1));
+    }
+    this.$preview.classList.remove('linkView__preview--invalid');
+    appendChildren(this.$preview, [
+      generateElement('div', { klasses: ['linkView__label'], textContent: 'The link will go to' }),
+      generateElement('code', { textContent: url }),
+    ]);
+  },
+
+  /**
+   * save - Inserts the link, or updates the link being edited.
+   *
+   * @returns {boolean} Returns true if the link was saved. Returns false if it
+   *  is invalid or there's nowhere to put it, in which case the problem is
+   *  shown.
+   */
+  save() {
+    Object.keys(this.fields).forEach((key) => {
+      if (this.fields[key].hideError) this.fields[key].hideError();
+    });
+    this.$message.textContent = '';
+    const values = this.readValues();
+    const link = this.buildLink(values);
+    if (!link.valid) {
+      this.tabs[this.currentTab].fields[0].showError(link.error);
+      return false;
+    }
+    let { $link } = this;
+    if ($link) {
+      $link.setAttribute('href', link.url);
+      const text = values.text.trim();
+      if (!this.fields.text.input.disabled && text && text !== $link.textContent.trim()) {
+        $link.textContent = text;
+      }
+    } else {
+      $link = this.selection.insertLink(link.url, this.getText(values));
+      if (!$link) {
+        this.$message.textContent = 'Click in your email where the link should go, or select the text to link, then try again.';
+        return false;
+      }
+    }
+    setOptOut($link, linkTabs[this.currentTab].tracked && !values.tracking);
+    this.modal.hide();
+    return true;
+  },
+
+  /**
+   * removeLink - Removes the link being edited, keeping its contents.
+   *
+   */
+  removeLink() {
+    const { $link } = this;
+    while ($link.firstChild) $link.parentNode.insertBefore($link.firstChild, $link);
+    $link.parentNode.removeChild($link);
+    this.modal.hide();
+  },
+
+  /**
+   * display - Displays the dialog, utilizing the modal. If the selection is
+   *  in a link, that link is edited. Otherwise a new link is made from the
+   *  selection.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    this.$link = this.selection.getLink();
+    let tab = 'web';
+    let values = generateValues();
+    if (this.$link) {
+      ({ tab, values } = readLink(this.$link));
+    } else {
+      values.text = this.selection.getText().trim();
+    }
+    Object.assign(this.values, values);
+    Object.keys(this.fields).forEach((key) => {
+      const field = this.fields[key];
+      field.load();
+      if (field.hideError) field.hideError();
+    });
+    // Selected text, and links containing formatting or images, keep their
+    // contents. Their text is edited in the editor.
+    const range = this.selection.getRange();
+    const fixedText = this.$link
+      ? this.$link.children.length > 0
+      : Boolean(range && !range.collapsed);
+    this.fields.text.input.disabled = fixedText;
+    this.fields.text.input.title = fixedText ? 'The text of the link is the text selected in your email.' : '';
+    this.$heading.textContent = this.$link ? 'Edit Link' : 'Add Link';
+    this.$removeBtn.classList.toggle('hide', !this.$link);
+    this.$message.textContent = '';
+    this.showTab(tab);
+    this.modal.setSaveHandler(this.$link ? 'Update Link' : 'Add Link', this.save.bind(this));
+    const $modal = this.modal.display(this.$ctn);
+    this.tabs[tab].fields[0].input.focus();
+    return $modal;
+  },
+};
+
+export default LinkView;
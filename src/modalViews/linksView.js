@@ -0,0 +1,327 @@
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+  getLinkScheme,
+  parseLink,
+} from '../lib.js';
+import { isOptedOut, setOptOut } from '../export/campaignTags.js';
+import { syncBlockLink } from '../contentBlocks.js';
+
+/**
+ * getProtocol - Gets the protocol of a URL, eg. "https" or "mailto".
+ *
+ * @param {string} url The URL.
+ *
+ * @returns {string} Returns the protocol in lower case, or "none" if the URL
+ *  doesn't start with one.
+ */
+function getProtocol(url) {
+  const scheme = getLinkScheme(url.trim());
+  return scheme ? scheme.slice(0, -1) : 'none';
+}
+
+/**
+ * isImageLink - Determines if a link in the editor wraps an image.
+ *
+ * @param {object} entry The link. See LinksView.collectLinks.
+ *
+ * @returns {boolean} Returns true if the link contains an image.
+ */
+function isImageLink(entry) {
+  return Boolean(entry.$link && entry.$link.querySelector('img'));
+}
+
+/**
+ * describeLink - Creates the name by which a link is referred to in the list.
+ *
+ * @param {object} entry The link. See LinksView.collectLinks.
+ *
+ * @returns {string} Returns the name, eg. "Link 2" or "Button 1".
+ */
+function describeLink(entry) {
+  if (entry.button !== undefined) return `Button ${entry.button + 1}`;
+  return `${isImageLink(entry) ? 'Image Link' : 'Link'} ${entry.position + 1}`;
+}
+
+/**
+ * findWarnings - Looks for problems with the links as currently entered in the
+ *  list.
+ *
+ * @param {object[]} rows The rows of the list. See LinksView.renderRow.
+ *
+ * @returns {string[][]} Returns the warnings for each row, in order.
+ */
+function findWarnings(rows) {
+  const urls = rows.map(row => row.inputs.url.value.trim());
+  return rows.map((row, i) => {
+    const warnings = [];
+    const url = urls[i];
+    const link = parseLink(url);
+    if (!url) {
+      warnings.push('Has no URL.');
+    } else if (!link.valid) {
+      warnings.push(link.error);
+    } else if (getProtocol(url) === 'none') {
+      warnings.push(`Has no protocol. Saving will change it to ${link.url}`);
+    }
+    if (!row.inputs.text.value.trim() && !isImageLink(row.entry)) {
+      warnings.push('Has no text.');
+    }
+    const duplicates = rows.filter((other, j) => j !== i && url && urls[j] === url);
+    if (duplicates.length > 0) {
+      warnings.push(`Same URL as ${duplicates.map(other => describeLink(other.entry)).join(', ')}.`);
+    }
+    return warnings;
+  });
+}
+
+const LinksView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Links' }),
+  $summary: generateElement('p'),
+  $findInput: generateElement('input', { type: 'text', placeholder: 'https://old.example.com/' }),
+  $replaceInput: generateElement('input', { type: 'text', placeholder: 'https://new.example.com/' }),
+  $replaceMessage: generateElement('div', { klasses: ['linksView__message'] }),
+  $list: generateElement('div', { klasses: ['linksView__list'] }),
+
+  /**
+   * init - Initialize the links view. The links view lists every link in the
+   *  editor along with the CTA buttons, so they can be reviewed and edited in
+   *  one place.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {function} getEditorElement The function called to get the live
+   *  .wf__editor element.
+   * @param {function} [onSave] An optional function called once changes to the
+   *  links have been saved.
+   *
+   * @returns {LinksView} Returns this view.
+   */
+  init(modal, getDocInfo, getEditorElement, onSave = null) {
+    this.modal = modal;
+    this.getDocInfo = getDocInfo;
+    this.getEditorElement = getEditorElement;
+    this.onSave = onSave;
+    this.rows = [];
+
+    const $replaceBtn = generateStandardButton('Replace');
+    $replaceBtn.addEventListener('click', this.replacePrefix.bind(this));
+    const $replace = generateElement('div', { klasses: ['settingsField', 'linksView__replace'], style: { 'text-align': 'left' } });
+    appendChildren($replace, [
+      generateElement('label', { textContent: 'Replace the start of URLs' }),
+      this.$findInput,
+      generateElement('label', { textContent: 'With' }),
+      this.$replaceInput,
+      $replaceBtn,
+      this.$replaceMessage,
+    ]);
+    appendChildren(this.$ctn, [this.$heading, this.$summary, $replace, this.$list]);
+    return this;
+  },
+
+  /**
+   * collectLinks - Finds every link in the email, in the order they appear.
+   *
+   * @returns {object[]} Returns an entry for each link. Links in the editor
+   *  look like { $link, position } and CTA buttons like { link, button } where
+   *  button is the index of the button in docInfo.links.
+   */
+  collectLinks() {
+    const $editorLinks = Array.from(this.getEditorElement().querySelectorAll('a'));
+    return $editorLinks.map(($link, position) => ({ $link, position }))
+      .concat(this.getDocInfo().links.map((link, button) => ({ link, button })));
+  },
+
+  /**
+   * render - Renders a row for each link in the email.
+   *
+   */
+  render() {
+    this.$list.innerHTML = '';
+    this.$replaceMessage.textContent = '';
+    this.rows = this.collectLinks().map(entry => this.renderRow(entry));
+    this.rows.forEach(row => this.$list.appendChild(row.$row));
+    this.update();
+  },
+
+  /**
+   * renderRow - Creates the row for editing a single link.
+   *
+   * @param {object} entry The link. See collectLinks.
+   *
+   * @returns {object} Returns the row: { entry, $row, inputs, $protocol,
+   *  $warnings }.
+   */
+  renderRow(entry) {
+    const $row = generateElement('div', { klasses: ['linksView__link'] });
+    const inputs = {
+      text: generateElement('input', { type: 'text', placeholder: 'Link text' }),
+      url: generateElement('input', { type: 'text', placeholder: 'URL' }),
+      tracking: generateElement('input', { type: 'checkbox' }),
+    };
+    if (entry.link) {
+      inputs.text.value = entry.link.text;
+      inputs.url.value = entry.link.url;
+      inputs.tracking.checked = entry.link.tracking;
+    } else {
+      inputs.text.value = entry.$link.textContent.trim();
+      inputs.url.value = entry.$link.getAttribute('href') || '';
+      inputs.tracking.checked = !isOptedOut(entry.$link);
+    }
+    // Only plain text can be edited here. Formatted text is edited in place.
+    if (entry.$link && entry.$link.children.length > 0) {
+      inputs.text.disabled = true;
+      inputs.text.title = 'Edit this link\'s text in the editor.';
+      const $img = entry.$link.querySelector('img');
+      if ($img) inputs.text.value = `Image: ${$img.getAttribute('alt') || 'no alt text'}`;
+    }
+    const $tracking = generateElement('label', {
+      klasses: ['linksView__tracking'],
+      title: 'Add the campaign tracking (UTM) parameters to this link',
+    });
+    appendChildren($tracking, [inputs.tracking, generateElement('span', { textContent: 'Track' })]);
+    const row = {
+      entry,
+      $row,
+      inputs,
+      $protocol: generateElement('span', { klasses: ['linksView__protocol'] }),
+      $warnings: generateElement('div', { klasses: ['linksView__warnings'] }),
+    };
+    const $fields = generateElement('div', { klasses: ['linksView__fields'] });
+    appendChildren($fields, [inputs.text, inputs.url, row.$protocol, $tracking]);
+    appendChildren($row, [
+      generateElement('div', { klasses: ['linksView__name'], textContent: describeLink(entry) }),
+      $fields,
+      row.$warnings,
+    ]);
+    inputs.text.addEventListener('input', this.update.bind(this));
+    inputs.url.addEventListener('input', this.update.bind(this));
+    return row;
+  },
+
+  /**
+   * update - Refreshes the protocol and warnings of every row, and the
+   *  summary, from the current values of the inputs.
+   *
+   */
+  update() {
+    const warnings = findWarnings(this.rows);
+    this.rows.forEach((row, i) => {
+      const { $protocol, $warnings } = row;
+      const protocol = getProtocol(row.inputs.url.value);
+      $protocol.textContent = protocol;
+      $protocol.classList.toggle('linksView__protocol--other', protocol !== 'https');
+      $warnings.innerHTML = '';
+      warnings[i].forEach(warning => $warnings.appendChild(generateElement('div', { textContent: warning })));
+      row.$row.classList.toggle('linksView__link--warning', warnings[i].length > 0);
+    });
+    const links = this.rows.length;
+    const flagged = warnings.filter(rowWarnings => rowWarnings.length > 0).length;
+    this.$summary.textContent = links === 0
+      ? 'Your email has no links yet.'
+      : `Your email has ${links} link${links === 1 ? '' : 's'}, ${flagged} with warnings.`;
+  },
+
+  /**
+   * replacePrefix - Replaces the start of every URL in the list which begins
+   *  with the text to find. The changes aren't saved until the view is.
+   *
+   * @returns {number} Returns the number of URLs changed.
+   */
+  replacePrefix() {
+    const find = this.$findInput.value.trim();
+    if (!find) {
+      this.$replaceMessage.textContent = 'Enter the start of the URLs to replace.';
+      return 0;
+    }
+    const replace = this.$replaceInput.value.trim();
+    let count = 0;
+    this.rows.forEach((row) => {
+      const { url: $url } = row.inputs;
+      const url = $url.value.trim();
+      if (url.startsWith(find)) {
+        $url.value = replace + url.slice(find.length);
+        count += 1;
+      }
+    });
+    this.$replaceMessage.textContent = count > 0
+      ? `Replaced ${count} URL${count === 1 ? '' : 's'}. Save to apply the changes.`
+      : 'No URLs start with that.';
+    this.update();
+    return count;
+  },
+
+  /**
+   * save - Writes the links back into the editor and the CTA buttons.
+   *
+   * @returns {boolean} Returns true if the links were saved. Returns false if
+   *  a URL is invalid or a button or link is missing its text, in which case
+   *  nothing is saved and the problem is shown in the summary.
+   */
+  save() {
+    const docInfo = this.getDocInfo();
+    // Links in the editor are only normalized if they were changed or would
+    // be broken without a protocol. Buttons always need a valid URL.
+    const parsed = this.rows.map(({ entry, inputs }) => {
+      const url = inputs.url.value.trim();
+      const unchanged = entry.$link && url === (entry.$link.getAttribute('href') || '').trim();
+      if (unchanged && (!url || getProtocol(url) !== 'none')) return { valid: true, url };
+      return parseLink(url);
+    });
+    const invalid = parsed.findIndex(link => !link.valid);
+    if (invalid !== -1) {
+      this.$summary.textContent = `${describeLink(this.rows[invalid].entry)}: ${parsed[invalid].error}`;
+      return false;
+    }
+    // Formatted links, eg. images, keep their text in the editor.
+    const untitled = this.rows.find(({ entry, inputs }) => (
+      (entry.link || !inputs.text.disabled) && !inputs.text.value.trim()
+    ));
+    if (untitled) {
+      this.$summary.textContent = `${describeLink(untitled.entry)} needs some text.`;
+      return false;
+    }
+    const buttons = [];
+    this.rows.forEach((row, i) => {
+      const { url } = parsed[i];
+      const tracking = row.inputs.tracking.checked;
+      if (row.entry.link) {
+        buttons.push(Object.assign({}, row.entry.link, {
+          text: row.inputs.text.value.trim(),
+          url,
+          tracking,
+        }));
+        return;
+      }
+      const { $link } = row.entry;
+      if (url !== ($link.getAttribute('href') || '')) $link.setAttribute('href', url);
+      const text = row.inputs.text.value.trim();
+      if (!row.inputs.text.disabled && text !== $link.textContent.trim()) $link.textContent = text;
+      if (isOptedOut($link) === tracking) setOptOut($link, !tracking);
+      syncBlockLink($link);
+    });
+    docInfo.links = buttons;
+    if (this.onSave) this.onSave();
+    this.modal.hide();
+    return true;
+  },
+
+  /**
+   * display - Lists the links of the current email and displays this view,
+   *  utilizing the modal.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    this.$findInput.value = '';
+    this.$replaceInput.value = '';
+    this.render();
+    this.modal.setSaveHandler('Save', this.save.bind(this));
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default LinksView;
@@ -0,0 +1,109 @@
+import { appendChildren, generateElement, generateStandardButton } from '../lib.js';
+import {
+  mergeTags,
+  findMergeTag,
+  findUsedMergeTags,
+  formatPlaceholder,
+  generateMergeTag,
+} from '../mergeTags.js';
+
+const MergeTagView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Merge Tags' }),
+  $description: generateElement(
+    'p',
+    { textContent: 'Merge tags are replaced with each recipient\'s details when GRS sends the email. Click in your email where the tag should go, then pick a tag.' },
+  ),
+  $tagList: generateElement('div', { klasses: ['mergeTagView__tags'] }),
+  $message: generateElement('div', { klasses: ['mergeTagView__message'] }),
+  $unknown: generateElement('div', { klasses: ['mergeTagView__unknown'] }),
+
+  /**
+   * init - Initialize the merge tag picker. The picker inserts merge tags at
+   *  the cursor in the editor, and lists any unknown merge tags already in the
+   *  email.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getEditorElement The function called to get the live
+   *  .wf__editor element.
+   * @param {EditorSelection} selection The selection in the editor.
+   * @param {RecipientPreviewView} recipientPreviewView The view which previews
+   *  the email with recipients' details filled in.
+   *
+   * @returns {MergeTagView} Returns this view.
+   */
+  init(modal, getEditorElement, selection, recipientPreviewView) {
+    this.modal = modal;
+    this.getEditorElement = getEditorElement;
+    this.selection = selection;
+    this.recipientPreviewView = recipientPreviewView;
+
+    mergeTags.forEach((tag) => {
+      const $btn = generateStandardButton(tag.label, {
+        klasses: ['mergeTagView__tag'],
+        title: `Inserts ${formatPlaceholder(tag.key)}, eg. "${tag.sample}"`,
+      });
+      $btn.addEventListener('click', this.insert.bind(this, tag.key));
+      this.$tagList.appendChild($btn);
+    });
+    const $previewBtn = generateStandardButton('Preview with Recipient Data', { klasses: ['mergeTagView__preview'] });
+    $previewBtn.addEventListener('click', () => this.recipientPreviewView.display());
+    appendChildren(this.$ctn, [
+      this.$heading,
+      this.$description,
+      this.$tagList,
+      this.$message,
+      this.$unknown,
+      $previewBtn,
+    ]);
+    return this;
+  },
+
+  /**
+   * insert - Inserts a merge tag in place of the selection in the editor.
+   *
+   * @param {string} key The key of the merge tag.
+   *
+   * @returns {boolean} Returns true if the merge tag was inserted. Returns
+   *  false if there's nowhere to put it, in which case the problem is shown.
+   */
+  insert(key) {
+    if (!this.selection.insertNode(generateMergeTag(key))) {
+      this.$message.textContent = 'Click in your email where the merge tag should go, then try again.';
+      return false;
+    }
+    this.modal.hide();
+    return true;
+  },
+
+  /**
+   * renderUnknown - Lists the merge tags in the email which GRS can't fill
+   *  in, eg. placeholders with a typo.
+   *
+   */
+  renderUnknown() {
+    this.$unknown.innerHTML = '';
+    const unknown = findUsedMergeTags(this.getEditorElement())
+      .map(({ key }) => key)
+      .filter((key, i, keys) => !findMergeTag(key) && keys.indexOf(key) === i);
+    if (unknown.length === 0) return;
+    appendChildren(this.$unknown, [
+      generateElement('div', { textContent: 'Your email uses merge tags GRS can\'t fill in. Replace them with a tag from the list above:' }),
+      ...unknown.map(key => generateElement('code', { textContent: formatPlaceholder(key) })),
+    ]);
+  },
+
+  /**
+   * display - Displays this view, utilizing the modal.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    this.$message.textContent = '';
+    this.renderUnknown();
+    this.modal.setSaveHandler();
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default MergeTagView;
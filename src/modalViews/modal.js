@@ -17,14 +17,15 @@ function defaultSaveButtonHandler() {
 
 /**
  * keydownHandler - Handle keydown events. If the modal is open and the user
- *  presses 'Enter', a click on the save button is simulated. If the 'Escape'
- *  key is pressed, a click on the close button is simulated.
+ *  presses 'Enter', a click on the save button is simulated, unless they're
+ *  typing in a text area. If the 'Escape' key is pressed, a click on the close
+ *  button is simulated.
  *
  * @param {Event} e The keydown event.
  *
  */
 function keydownHandler(e) {
-  if (e.key === 'Enter') {
+  if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
     this.$saveBtn.click();
   } else if (e.key === 'Escape') {
     this.$closeBtn.click();
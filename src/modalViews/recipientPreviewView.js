@@ -0,0 +1,257 @@
+import { appendChildren, generateElement, generateStandardButton } from '../lib.js';
+import { escapeHTML, generateStandaloneHTML } from '../export/documentExport.js';
+import {
+  fillPlaceholders,
+  findMergeTag,
+  findPlaceholders,
+  findUsedMergeTags,
+  formatPlaceholder,
+  generateSampleRecipient,
+} from '../mergeTags.js';
+import { describeRecipient, findMissingValues, parseRecipients } from '../recipients.js';
+
+/**
+ * describeMergeTag - Names a merge tag for messages.
+ *
+ * @param {string} key The key of the merge tag.
+ *
+ * @returns {string} Returns the label of the merge tag, or its placeholder if
+ *  it isn't one GRS knows.
+ */
+function describeMergeTag(key) {
+  const tag = findMergeTag(key);
+  return tag ? tag.label : formatPlaceholder(key);
+}
+
+const RecipientPreviewView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Mail Merge Preview' }),
+  $description: generateElement(
+    'p',
+    { textContent: 'See your email as each recipient will get it, with their details in place of the merge tags. Load a .csv or .json file of recipients, eg. the list for a segmented send, to step through them and find anyone missing details.' },
+  ),
+  $recipientSelect: generateElement('select', { klasses: ['recipientPreview__select'] }),
+  $position: generateElement('span', { klasses: ['recipientPreview__position'] }),
+  $message: generateElement('div', { klasses: ['recipientPreview__message'] }),
+  $missing: generateElement('div', { klasses: ['recipientPreview__missing'] }),
+  $subject: generateElement('div', { klasses: ['recipientPreview__subject'] }),
+  $frame: generateElement('iframe', { klasses: ['recipientPreview__frame'], sandbox: '', title: 'Mail Merge Preview' }),
+
+  /**
+   * init - Initialize the mail merge preview. The mail merge preview shows
+   *  the exported email with the merge tags filled in for a sample recipient,
+   *  or for each recipient from a file in turn.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {function} getEditorElement The function called to get the live
+   *  .wf__editor element.
+   *
+   * @returns {RecipientPreviewView} Returns this view.
+   */
+  init(modal, getDocInfo, getEditorElement) {
+    this.modal = modal;
+    this.getDocInfo = getDocInfo;
+    this.getEditorElement = getEditorElement;
+    this.recipients = [];
+
+    const $loadBtn = generateStandardButton('Load Recipients (.csv, .json)');
+    $loadBtn.addEventListener('click', this.load.bind(this));
+    this.$prevBtn = generateStandardButton('Previous', { klasses: ['recipientPreview__step'] });
+    this.$prevBtn.addEventListener('click', this.step.bind(this, -1));
+    this.$nextBtn = generateStandardButton('Next', { klasses: ['recipientPreview__step'] });
+    this.$nextBtn.addEventListener('click', this.step.bind(this, 1));
+    const $controls = generateElement('div', { klasses: ['settingsField', 'recipientPreview__controls'], style: { 'text-align': 'left' } });
+    appendChildren($controls, [
+      generateElement('label', { textContent: 'Recipient' }),
+      this.$recipientSelect,
+      this.$prevBtn,
+      this.$nextBtn,
+      this.$position,
+      $loadBtn,
+      this.$message,
+    ]);
+    appendChildren(this.$ctn, [
+      this.$heading,
+      this.$description,
+      $controls,
+      this.$missing,
+      this.$subject,
+      this.$frame,
+    ]);
+    this.$recipientSelect.addEventListener('change', this.render.bind(this));
+    return this;
+  },
+
+  /**
+   * getUsedKeys - Gets the merge tags used in the email, including in its
+   *  subject and preview text.
+   *
+   * @returns {string[]} Returns the key of each merge tag used, once each.
+   */
+  getUsedKeys() {
+    const docInfo = this.getDocInfo();
+    const keys = findUsedMergeTags(this.getEditorElement())
+      .map(({ key }) => key)
+      .concat(findPlaceholders(`${docInfo.subject} ${docInfo.preheader}`));
+    return keys.filter((key, i) => keys.indexOf(key) === i);
+  },
+
+  /**
+   * renderOptions - Fills the recipient select with the sample recipient
+   *  followed by the recipients loaded from a file. Recipients missing
+   *  details the email uses are flagged.
+   *
+   */
+  renderOptions() {
+    const keys = this.getUsedKeys();
+    this.$recipientSelect.innerHTML = '';
+    this.$recipientSelect.appendChild(generateElement('option', { value: '-1', textContent: 'Sample Recipient' }));
+    this.recipients.forEach((recipient, i) => {
+      const flagged = findMissingValues(recipient, keys).length > 0;
+      this.$recipientSelect.appendChild(generateElement('option', {
+        value: String(i),
+        textContent: `${describeRecipient(recipient, i)}${flagged ? ' (missing details)' : ''}`,
+      }));
+    });
+  },
+
+  /**
+   * summarize - Describes the loaded recipients, including how many of them
+   *  are missing details the email uses.
+   *
+   * @param {string} fileName The name of the file the recipients came from.
+   *
+   */
+  summarize(fileName) {
+    const keys = this.getUsedKeys();
+    const count = this.recipients.length;
+    const flagged = this.recipients
+      .map((recipient, i) => ({ recipient, i }))
+      .filter(({ recipient }) => findMissingValues(recipient, keys).length > 0)
+      .map(({ recipient, i }) => describeRecipient(recipient, i));
+    let summary = `Loaded ${count} recipient${count === 1 ? '' : 's'} from ${fileName}.`;
+    if (flagged.length > 0) {
+      summary += ` ${flagged.length} ${flagged.length === 1 ? 'is' : 'are'} missing details your email uses: ${flagged.join(', ')}.`;
+    }
+    this.$message.textContent = summary;
+    this.$message.classList.remove('recipientPreview__message--error');
+  },
+
+  /**
+   * step - Moves to the previous or next recipient.
+   *
+   * @param {number} offset -1 for the previous recipient, 1 for the next.
+   *
+   */
+  step(offset) {
+    const $select = this.$recipientSelect;
+    const index = Math.min(Math.max($select.selectedIndex + offset, 0), $select.options.length - 1);
+    $select.selectedIndex = index;
+    this.render();
+  },
+
+  /**
+   * getRecipient - Gets the recipient chosen in the select.
+   *
+   * @returns {object} Returns the recipient's details, keyed by merge tag key.
+   */
+  getRecipient() {
+    const i = Number(this.$recipientSelect.value);
+    return this.recipients[i] || generateSampleRecipient();
+  },
+
+  /**
+   * render - Renders the email and its subject for the chosen recipient.
+   *
+   */
+  render() {
+    const docInfo = this.getDocInfo();
+    const recipient = this.getRecipient();
+    const { selectedIndex, options } = this.$recipientSelect;
+    this.$prevBtn.disabled = selectedIndex <= 0;
+    this.$nextBtn.disabled = selectedIndex >= options.length - 1;
+    this.$position.textContent = this.recipients.length > 0 && selectedIndex > 0
+      ? `${selectedIndex} of ${this.recipients.length}`
+      : '';
+    const missing = findMissingValues(recipient, this.getUsedKeys());
+    this.$missing.textContent = missing.length > 0
+      ? `This recipient has no ${missing.map(describeMergeTag).join(', ')}. Fill in the missing details before sending.`
+      : '';
+    // Like the .eml export, the title stands in until there's a subject.
+    const subject = fillPlaceholders(docInfo.subject || docInfo.title, recipient);
+    this.$subject.innerHTML = '';
+    appendChildren(this.$subject, [
+      generateElement('span', { klasses: ['recipientPreview__label'], textContent: 'Subject: ' }),
+      generateElement('span', { textContent: subject }),
+    ]);
+    const html = generateStandaloneHTML(docInfo, this.getEditorElement());
+    this.$frame.setAttribute('srcdoc', fillPlaceholders(html, recipient, escapeHTML));
+  },
+
+  /**
+   * load - Prompts the user to choose a file of recipients.
+   *
+   */
+  load() {
+    const fileInput = generateElement('input', { type: 'file', accept: '.csv,.json' });
+    fileInput.addEventListener('change', this.parseFile.bind(this));
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    document.body.removeChild(fileInput);
+  },
+
+  /**
+   * parseFile - This function is attached as a 'change' handler to the
+   *  fileInput created in this.load. It reads the recipients from the chosen
+   *  file, flags those missing details and previews the first of them. If the
+   *  file can't be read, the problem is shown instead.
+   *
+   * @param {Event} event The change event to handle.
+   *
+   * @returns {boolean} Returns true if a file is being read.
+   */
+  parseFile(event) {
+    const file = event.target.files[0];
+    if (!file) return false;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        this.recipients = parseRecipients(file.name, reader.result);
+      } catch (err) {
+        this.$message.textContent = err.message;
+        this.$message.classList.add('recipientPreview__message--error');
+        return false;
+      }
+      this.fileName = file.name;
+      this.summarize(file.name);
+      this.renderOptions();
+      this.$recipientSelect.value = '0';
+      this.render();
+      return true;
+    };
+    reader.readAsText(file);
+    return true;
+  },
+
+  /**
+   * display - Displays this view, utilizing the modal. Recipients loaded
+   *  earlier are kept until another file is loaded, and are checked again
+   *  against the merge tags the email now uses.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    const { value } = this.$recipientSelect;
+    this.renderOptions();
+    if (value) this.$recipientSelect.value = value;
+    this.$message.textContent = '';
+    if (this.recipients.length > 0) this.summarize(this.fileName);
+    this.render();
+    this.modal.setSaveHandler();
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default RecipientPreviewView;
@@ -0,0 +1,67 @@
+import { generateElement } from '../lib.js';
+
+const RestoreDraftView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Restore Your Draft?' }),
+  $description: generateElement('p'),
+  $details: generateElement('p', { style: { 'font-size': '0.85em' } }),
+  $error: generateElement('div', { klasses: ['settingsField__error--message'] }),
+
+  /**
+   * init - Initialize the restore draft view. This view is displayed when the
+   *  editor loads and finds an autosaved draft, letting the user pick up where
+   *  they left off.
+   *
+   * @param {Modal} modal The Modal in which the RestoreDraftView will be
+   *  displayed.
+   * @param {function} restoreCallback The function called with the draft's
+   *  docInfo when the user chooses to restore it.
+   *
+   * @returns {RestoreDraftView} Returns this view.
+   */
+  init(modal, restoreCallback) {
+    this.modal = modal;
+    this.restoreCallback = restoreCallback;
+
+    this.$ctn.appendChild(this.$heading);
+    this.$ctn.appendChild(this.$description);
+    this.$ctn.appendChild(this.$details);
+    this.$ctn.appendChild(this.$error);
+    return this;
+  },
+
+  /**
+   * restore - Passes the draft to the restoreCallback then closes the modal.
+   *  If the draft can't be restored, the reason is displayed instead.
+   *
+   */
+  restore() {
+    try {
+      this.restoreCallback(this.draft.docInfo);
+    } catch (err) {
+      this.$error.textContent = err.message;
+      this.$error.style.display = 'block';
+      return;
+    }
+    this.modal.hide();
+  },
+
+  /**
+   * display - Displays the view, utilizing the modal.
+   *
+   * @param {object} draft The autosaved draft, as returned by Autosave.load.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display(draft) {
+    this.draft = draft;
+    this.$error.style.display = 'none';
+    const savedAt = new Date(draft.savedAt).toLocaleString();
+    this.$description.textContent = `Restore your unsaved draft from ${savedAt}?`;
+    this.$details.textContent = `"${draft.docInfo.title}" - Click "Close" to start a new email instead.`;
+    this.modal.setSaveHandler('Restore', this.restore.bind(this));
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default RestoreDraftView;
@@ -1,8 +1,13 @@
 import {
+  appendChildren,
   cleanFileName,
+  downloadFile,
   generateElement,
   generateStandardButton,
 } from '../lib.js';
+import { parseDocFile } from '../storage/docSchema.js';
+import { generateEML, generateStandaloneHTML } from '../export/documentExport.js';
+import DraftList from './saveLoadViewComponents/draftList.js';
 
 const style = {
   display: 'inline-block',
@@ -14,8 +19,18 @@ const saveLoadView = {
   fileType: 'ISAEmail_config',
   $ctn: generateElement('div'),
   $heading: generateElement('h1', { textContent: 'Save / Load an Email' }),
+  $error: generateElement(
+    'div',
+    {
+      klasses: ['settingsField__error--message'],
+      style: { 'text-align': 'left' },
+    },
+  ),
   $loadBtn: generateStandardButton('Load a Previous Email', { style }),
   $saveBtn: generateStandardButton('Save Current Email', { style }),
+  $exportCtn: generateElement('div', { klasses: ['saveLoadExport'] }),
+  $exportHTMLBtn: generateStandardButton('Download Web Page (.html)'),
+  $exportEMLBtn: generateStandardButton('Download Email File (.eml)'),
   $btnSeparator: generateElement(
     'div',
     {
@@ -34,27 +49,46 @@ const saveLoadView = {
    * init - Initialize the saveLoadView. Saves a reference to the modal it will
    *  use as well as a loadCallBack called when the user updloads a config file,
    *  and a getDocInfo function used when generating a config file for saving.
+   *  Both are also passed along to the "My Drafts" list.
    *
    * @param {Modal} modal           The modal used to display the saveLoadView.
    * @param {function} loadCallback The function called once the file uploaded
    *  by a user is processed.
    * @param {function} getDocInfo   The function called to get information about
    *  the doucment to be saved (eg. title, contents, etc)
+   * @param {function} [getEditorElement] The function called to get the live
+   *  .wf__editor element when exporting the email as a web page or .eml file.
    *
    * @returns {saveLoadView} Returns this saveLoadView.
    */
-  init(modal, loadCallback, getDocInfo) {
+  init(modal, loadCallback, getDocInfo, getEditorElement = () => null) {
     this.modal = modal;
     this.loadCallback = loadCallback;
     this.getDocInfo = getDocInfo;
+    this.getEditorElement = getEditorElement;
 
     this.$ctn.append(this.$heading);
+    this.$ctn.append(this.$error);
     this.$ctn.append(this.$loadBtn);
     this.$ctn.append(this.$btnSeparator);
     this.$ctn.append(this.$saveBtn);
 
+    appendChildren(this.$exportCtn, [
+      generateElement('h2', { textContent: 'Export' }),
+      generateElement('p', { textContent: 'Download a complete copy of the email, including the header and footer, to preview in a browser or open in your mail client.' }),
+      this.$exportHTMLBtn,
+      this.$exportEMLBtn,
+    ]);
+    this.$ctn.append(this.$exportCtn);
+
+    this.draftList = Object.create(DraftList);
+    this.draftList.init(this.modal, loadCallback, getDocInfo);
+    this.$ctn.append(this.draftList.$ctn);
+
     this.$loadBtn.addEventListener('click', this.load.bind(this));
     this.$saveBtn.addEventListener('click', this.save.bind(this));
+    this.$exportHTMLBtn.addEventListener('click', this.exportHTML.bind(this));
+    this.$exportEMLBtn.addEventListener('click', this.exportEML.bind(this));
     return this;
   },
 
@@ -80,9 +114,10 @@ const saveLoadView = {
 
   /**
    * parseFile - This function is attached as a 'change' handler to the
-   *  fileInput created in this.load. It parses the uploaded file, ensures it's
-   *  the proper format and type of file, then calls the loadCallback, passing
-   *  in the configuration information for the Editor to load.
+   *  fileInput created in this.load. It parses the uploaded file, validates and
+   *  upgrades it to the current file format, then calls the loadCallback,
+   *  passing in the configuration information for the Editor to load. If the
+   *  file can't be loaded, the problems are listed in the modal.
    *
    * @param {Event} event The change event to handle.
    *
@@ -92,9 +127,15 @@ const saveLoadView = {
     if (!file) return false;
     const reader = new FileReader();
     reader.onload = () => {
-      const docInfo = JSON.parse(reader.result);
-      if (!docInfo.fileType === 'ISAEmail_config') return false;
-      this.loadCallback(docInfo);
+      let docInfo;
+      try {
+        docInfo = parseDocFile(reader.result);
+        this.loadCallback(docInfo);
+      } catch (err) {
+        this.showErrors(file.name, err.errors || [err.message]);
+        return false;
+      }
+      this.forgetCurrentDraft();
       this.modal.hide();
       return docInfo;
     };
@@ -102,6 +143,42 @@ const saveLoadView = {
     return true;
   },
 
+  /**
+   * forgetCurrentDraft - Lets the draft list know the email in the editor is
+   *  no longer the draft it last opened or saved, eg. because another email
+   *  was loaded. Saving to My Drafts will then create a new draft.
+   *
+   */
+  forgetCurrentDraft() {
+    this.draftList.currentDraftID = null;
+  },
+
+  /**
+   * showErrors - Lists the problems which kept a file from loading.
+   *
+   * @param {string} fileName The name of the file which couldn't be loaded.
+   * @param {string[]} errors The problems with the file.
+   *
+   */
+  showErrors(fileName, errors) {
+    const $list = generateElement('ul');
+    errors.forEach(msg => $list.appendChild(generateElement('li', { textContent: msg })));
+    this.$error.innerHTML = '';
+    this.$error.appendChild(generateElement('p', { textContent: `"${fileName}" could not be loaded:` }));
+    this.$error.appendChild($list);
+    this.$error.style.display = 'block';
+    this.modal.adjustHeight();
+  },
+
+  /**
+   * hideErrors - Clears and hides the list of problems.
+   *
+   */
+  hideErrors() {
+    this.$error.innerHTML = '';
+    this.$error.style.display = 'none';
+  },
+
   /**
    * save - This function is attached as a 'click' handler to this.$saveBtn.
    *  When called, this function will generate the configuration file by calling
@@ -118,29 +195,52 @@ const saveLoadView = {
     if (!rawDocInfo) return false;
     rawDocInfo.fileType = this.fileType;
     const docInfo = JSON.stringify(rawDocInfo);
-    const href = `data:text/plain;charset=utf-8,${encodeURIComponent(docInfo)}`;
-    const downloadLink = generateElement(
-      'a',
-      {
-        href,
-        download: `${cleanFileName(rawDocInfo.title)}.isaemail`,
-        style: { display: 'none' },
-      },
-    );
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
-    document.body.removeChild(downloadLink);
+    downloadFile(`${cleanFileName(rawDocInfo.title)}.isaemail`, docInfo);
     this.modal.hide();
     return true;
   },
 
   /**
-   * display - Calls the modal's display method, passing in this.$ctn.
+   * exportHTML - This function is attached as a 'click' handler to
+   *  this.$exportHTMLBtn. Downloads the email as a standalone web page.
+   *
+   * @returns {string} Returns the name of the downloaded file.
+   */
+  exportHTML() {
+    const docInfo = this.getDocInfo();
+    return downloadFile(
+      `${cleanFileName(docInfo.title)}.html`,
+      generateStandaloneHTML(docInfo, this.getEditorElement()),
+      'text/html',
+    );
+  },
+
+  /**
+   * exportEML - This function is attached as a 'click' handler to
+   *  this.$exportEMLBtn. Downloads the email as an .eml message which can be
+   *  opened in a mail client.
+   *
+   * @returns {string} Returns the name of the downloaded file.
+   */
+  exportEML() {
+    const docInfo = this.getDocInfo();
+    return downloadFile(
+      `${cleanFileName(docInfo.title)}.eml`,
+      generateEML(docInfo, this.getEditorElement()),
+      'message/rfc822',
+    );
+  },
+
+  /**
+   * display - Calls the modal's display method, passing in this.$ctn. Also
+   *  refreshes the list of drafts.
    *
    * @returns {Element} Returns the modal containing this saveLoadView.
    */
   display() {
     this.modal.setSaveHandler('Ok', this.modal.hide());
+    this.hideErrors();
+    this.draftList.render();
     return this.modal.display(this.$ctn);
   },
 };
@@ -0,0 +1,221 @@
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+} from '../../lib.js';
+import {
+  deleteDraft,
+  duplicateDraft,
+  getDraft,
+  listDrafts,
+  renameDraft,
+  saveDraft,
+} from '../../storage/draftLibrary.js';
+
+const columnTitles = ['Title', 'Created', 'Last Modified', ''];
+
+export default {
+  /**
+   * init - Initializes the draft list. The draft list displays every email
+   *  saved in the browser's "My Drafts" library and lets the user open,
+   *  duplicate, rename and delete them.
+   *
+   * @param {Modal} modal The modal in which the draft list is displayed.
+   * @param {function} loadCallback The function called with a draft's docInfo
+   *  when the user opens it.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email when saving it to the library.
+   *
+   * @returns {draftList} Returns this draft list.
+   */
+  init(modal, loadCallback, getDocInfo) {
+    this.modal = modal;
+    this.loadCallback = loadCallback;
+    this.getDocInfo = getDocInfo;
+    // The id of the draft currently open in the editor, if any.
+    this.currentDraftID = null;
+    this.initHTML();
+    this.$saveBtn.addEventListener('click', this.saveCurrent.bind(this));
+    return this;
+  },
+
+  initHTML() {
+    this.$ctn = generateElement('div', { klasses: ['draftList'] });
+    this.$heading = generateElement('h2', { textContent: 'My Drafts' });
+    this.$saveBtn = generateStandardButton('Save to My Drafts');
+    this.$message = generateElement('p', { klasses: ['draftList__message'] });
+    this.$table = generateElement('table', { klasses: ['draftList__table'] });
+    appendChildren(this.$ctn, [this.$heading, this.$saveBtn, this.$message, this.$table]);
+  },
+
+  /**
+   * showMessage - Displays the given message above the list of drafts.
+   *
+   * @param {string} msg The message to display.
+   *
+   */
+  showMessage(msg) {
+    this.$message.textContent = msg;
+  },
+
+  /**
+   * render - Retrieves the drafts from the library and renders them in the
+   *  table.
+   *
+   * @returns {Promise} Resolves once the table has been rendered.
+   */
+  render() {
+    return listDrafts()
+      .then((drafts) => {
+        this.$table.innerHTML = '';
+        this.showMessage('');
+        if (drafts.length === 0) {
+          this.showMessage('You have no saved drafts.');
+          return;
+        }
+        const $headRow = generateElement('tr');
+        columnTitles.forEach(text => $headRow.appendChild(generateElement('th', { textContent: text })));
+        this.$table.appendChild($headRow);
+        drafts.forEach(draft => this.$table.appendChild(this.renderRow(draft)));
+        this.modal.adjustHeight();
+      })
+      .catch(() => {
+        this.$saveBtn.classList.add('hide');
+        this.showMessage('My Drafts is not available in this browser.');
+      });
+  },
+
+  /**
+   * renderRow - Creates the table row for a single draft.
+   *
+   * @param {object} draft The draft record to display.
+   *
+   * @returns {Element} Returns the table row.
+   */
+  renderRow(draft) {
+    const $row = generateElement('tr');
+    const $title = generateElement('td', { textContent: draft.title });
+    if (draft.id === this.currentDraftID) $title.classList.add('draftList__current');
+    const $actions = generateElement('td', { klasses: ['draftList__actions'] });
+    const $openBtn = generateStandardButton('Open');
+    const $duplicateBtn = generateStandardButton('Duplicate');
+    const $renameBtn = generateStandardButton('Rename');
+    const $deleteBtn = generateStandardButton('Delete');
+
+    $openBtn.addEventListener('click', this.open.bind(this, draft));
+    $duplicateBtn.addEventListener('click', this.duplicate.bind(this, draft));
+    $renameBtn.addEventListener('click', this.startRename.bind(this, draft, $title));
+    $deleteBtn.addEventListener('click', this.remove.bind(this, draft, $deleteBtn));
+
+    appendChildren($actions, [$openBtn, $duplicateBtn, $renameBtn, $deleteBtn]);
+    appendChildren($row, [
+      $title,
+      generateElement('td', { textContent: draft.dateCreated }),
+      generateElement('td', { textContent: draft.lastModified }),
+      $actions,
+    ]);
+    return $row;
+  },
+
+  /**
+   * saveCurrent - Saves the current email to the library. If the email was
+   *  opened from the library, its draft is updated rather than duplicated.
+   *
+   * @returns {Promise} Resolves once the draft is saved and the list updated.
+   *  If the draft can't be saved, the reason is displayed instead.
+   */
+  saveCurrent() {
+    const docInfo = this.getDocInfo();
+    return saveDraft(docInfo, this.currentDraftID)
+      .then((id) => {
+        this.currentDraftID = id;
+        return this.render();
+      })
+      .then(() => this.showMessage(`Saved "${docInfo.title}" to My Drafts.`))
+      .catch(err => this.showMessage(err.message));
+  },
+
+  /**
+   * open - Loads the given draft into the editor and closes the modal. If the
+   *  draft can't be loaded, the reason is displayed instead.
+   *
+   * @param {object} draft The draft to open.
+   *
+   * @returns {Promise} Resolves once the draft has been loaded.
+   */
+  open(draft) {
+    return getDraft(draft.id)
+      .then((savedDraft) => {
+        this.loadCallback(savedDraft.docInfo);
+        this.currentDraftID = savedDraft.id;
+        this.modal.hide();
+      })
+      .catch(err => this.showMessage(err.message));
+  },
+
+  /**
+   * duplicate - Creates a copy of the given draft in the library.
+   *
+   * @param {object} draft The draft to copy.
+   *
+   * @returns {Promise} Resolves once the copy is saved and the list updated.
+   */
+  duplicate(draft) {
+    return duplicateDraft(draft.id)
+      .then(() => this.render())
+      .then(() => this.showMessage(`Duplicated "${draft.title}".`))
+      .catch(err => this.showMessage(err.message));
+  },
+
+  /**
+   * startRename - Replaces the title of the given draft with an input so the
+   *  user can rename it. Pressing Enter saves the new title and Escape cancels.
+   *
+   * @param {object} draft The draft to rename.
+   * @param {Element} $title The table cell containing the draft's title.
+   *
+   */
+  startRename(draft, $title) {
+    const $input = generateElement('input', { type: 'text', value: draft.title });
+    $input.addEventListener('keydown', (e) => {
+      // Keep the modal from treating Enter/Escape as save/close.
+      e.stopPropagation();
+      if (e.key === 'Enter' && $input.value.trim()) {
+        renameDraft(draft.id, $input.value.trim())
+          .then(() => this.render())
+          .catch(err => this.showMessage(err.message));
+      } else if (e.key === 'Escape') {
+        this.render();
+      }
+    });
+    // Drafts with an empty title have no text node to replace.
+    while ($title.firstChild) $title.removeChild($title.firstChild);
+    $title.appendChild($input);
+    $input.focus();
+    $input.select();
+  },
+
+  /**
+   * remove - Deletes the given draft. The first click only asks the user to
+   *  confirm by clicking again.
+   *
+   * @param {object} draft The draft to delete.
+   * @param {Element} $deleteBtn The delete button which was clicked.
+   *
+   * @returns {Promise|null} Resolves once the draft is deleted. Returns null if
+   *  the user still needs to confirm.
+   */
+  remove(draft, $deleteBtn) {
+    if (!$deleteBtn.confirming) {
+      Object.assign($deleteBtn, { confirming: true, textContent: 'Confirm Delete' });
+      return null;
+    }
+    return deleteDraft(draft.id)
+      .then(() => {
+        if (draft.id === this.currentDraftID) this.currentDraftID = null;
+        return this.render();
+      })
+      .then(() => this.showMessage(`Deleted "${draft.title}".`))
+      .catch(err => this.showMessage(err.message));
+  },
+};
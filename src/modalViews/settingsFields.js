@@ -1,4 +1,9 @@
-import { appendChildren, generateElement, validateURL } from '../lib.js';
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+  parseLink,
+} from '../lib.js';
 
 /**
  * field - Base object for all fields.
@@ -137,6 +142,96 @@ const TextFieldBase = {
 
 export const TextField = Object.assign(TextFieldBase, field);
 
+/**
+ * NumberField - A Number Field is a Text Field which only accepts numbers.
+ */
+export const NumberField = Object.assign(Object.create(TextField), {
+
+  /**
+   * init - Initialize a number field.
+   *
+   * @param {Object} docInfo   The docInfo to use to load/save from.
+   * @param {String} labelText The string to be used in the label.
+   * @param {String} targetID  The property of the docInfo to edit.
+   * @param {Object} range     The numbers allowed: { min, max, step }.
+   *
+   * @returns {NumberField} Returns the newly initialized NumberField.
+   */
+  init(docInfo, labelText, targetID, range, saveFunc, loadFunc) {
+    TextField.init.call(this, docInfo, labelText, targetID, saveFunc, loadFunc);
+    this.range = range;
+    this.input.type = 'number';
+    Object.keys(range).forEach(attr => this.input.setAttribute(attr, String(range[attr])));
+    return this;
+  },
+
+  /**
+   * value - Get the current value of the input as a number.
+   *
+   * @returns {number} Returns the number.
+   *
+   * @throws {Error} Throws if the value isn't a number in the field's range,
+   *  or has decimals when the field steps by whole numbers.
+   */
+  value() {
+    const { min, max, step } = this.range;
+    const value = Number(this.input.value);
+    // Fields which step by whole numbers don't take decimals.
+    const wholeOnly = step === 1;
+    if (this.input.value.trim() === '' || !Number.isFinite(value) || value < min || value > max
+      || (wholeOnly && !Number.isInteger(value))) {
+      throw Error(`Enter a number from ${min} to ${max}${wholeOnly ? ', without decimals' : ''}.`);
+    }
+    return value;
+  },
+});
+
+/**
+ * ColorField - A Color Field is a Text Field whose input is a color picker.
+ *  Its value is a six digit hex color.
+ */
+export const ColorField = Object.assign(Object.create(TextField), {
+
+  /**
+   * init - Initialize a color field.
+   *
+   * @param {Object} docInfo   The docInfo to use to load/save from.
+   * @param {String} labelText The string to be used in the label.
+   * @param {String} targetID  The property of the docInfo to edit.
+   *
+   * @returns {ColorField} Returns the newly initialized ColorField.
+   */
+  init(docInfo, labelText, targetID, saveFunc, loadFunc) {
+    TextField.init.call(this, docInfo, labelText, targetID, saveFunc, loadFunc);
+    this.input.type = 'color';
+    return this;
+  },
+});
+
+/**
+ * TextAreaField - A Text Area Field is a Text Field for text which may span
+ *  several lines.
+ */
+export const TextAreaField = Object.assign(Object.create(TextField), {
+
+  /**
+   * init - Initialize a text area field.
+   *
+   * @param {Object} docInfo   The docInfo to use to load/save from.
+   * @param {String} labelText The string to be used in the label.
+   * @param {String} targetID  The property of the docInfo to edit.
+   *
+   * @returns {TextAreaField} Returns the newly initialized TextAreaField.
+   */
+  init(docInfo, labelText, targetID, saveFunc, loadFunc) {
+    TextField.init.call(this, docInfo, labelText, targetID, saveFunc, loadFunc);
+    const $textarea = generateElement('textarea', { rows: '4' });
+    this.ctn.replaceChild($textarea, this.input);
+    this.input = $textarea;
+    return this;
+  },
+});
+
 /**
  * SwitchFieldBase - A SwitchField creates a toggle switch.
  */
@@ -191,116 +286,294 @@ const SwitchFieldBase = {
 export const SwitchField = Object.assign(SwitchFieldBase, field);
 
 /**
- * OptionalLinkFieldBase - An Optional Link Field provides a Switch Field and
- *  Text Field together. This allows the user to choose if they want to include
- *  the link at all and let's them edit the url for that link.
+ * HeadingFieldBase - A Heading Field starts a section of related settings. It
+ *  has nothing to save or load.
  */
-const OptionalLinkFieldBase = {
+const HeadingFieldBase = {
 
   /**
-   * init - Initializes the Optional Link Field. Creates the Switch Field and
-   *  Text Field.
+   * init - Initializes the Heading Field.
    *
-   * @param {Object} docInfo    The docInfo to read from and save to.
-   * @param {String} fieldTitle The title of the field.
-   * @param {String} targetID   The string to use as the property name when
-   *  reading from/writing to the docInfo. This is also used to find and set the
-   *  link in the HTML.
+   * @param {Object} docInfo   The docInfo the section's fields edit.
+   * @param {String} labelText The heading of the section.
    *
-   * @returns {type} Description
+   * @returns {HeadingField} Returns the newly initialized HeadingField.
    */
-  init(docInfo, fieldTitle, targetID) {
-    this.fieldTitle = fieldTitle;
-    this.targetID = targetID;
+  init(docInfo, labelText) {
     this.initField(docInfo);
-    this.html = document.getElementById(targetID);
+    this.ctn.classList.add('settingsField--heading');
+    this.ctn.appendChild(generateElement('h2', { textContent: labelText }));
+    return this;
+  },
 
-    this.switchField = Object.create(SwitchField);
-    this.textField = Object.create(TextField);
+  save() {},
 
-    this.switchField.init(this.docInfo.links, `Include ${fieldTitle} Link:`, '', null, null);
-    this.textField.init(this.docInfo.links, `${fieldTitle} URL:`);
+  load() {},
+};
 
-    this.switchField.ctn.classList.remove('settingsField');
-    this.textField.ctn.classList.remove('settingsField');
+export const HeadingField = Object.assign(HeadingFieldBase, field);
 
-    this.showError = this.textField.showError.bind(this.textField);
-    this.hideError = this.textField.hideError.bind(this.textField);
+/**
+ * SelectFieldBase - A Select Field lets the user pick one of a list of
+ *  options.
+ */
+const SelectFieldBase = {
 
-    appendChildren(this.ctn, [this.switchField.ctn, this.textField.ctn]);
+  /**
+   * init - Initializes the Select Field. The options are added with
+   *  setOptions.
+   *
+   * @param {Object} docInfo   The docInfo to use to load/save from.
+   * @param {String} labelText The string to be used in the label.
+   * @param {String} targetID  The property of the docInfo to edit.
+   *
+   * @returns {SelectField} Returns the newly initialized SelectField.
+   */
+  init(docInfo, labelText, targetID, saveFunc, loadFunc) {
+    this.targetID = targetID;
+    this.initField(docInfo, saveFunc, loadFunc);
+    this.input = generateElement('select');
+    this.errorMessage = generateElement('div', { klasses: ['settingsField__error--message'] });
+    appendChildren(this.ctn, [
+      generateElement('label', { textContent: labelText }),
+      this.input,
+      this.errorMessage,
+    ]);
+    return this;
+  },
 
-    this.switchField.input.addEventListener('change', this.switchChangeListener.bind(this));
+  /**
+   * setOptions - Replaces the options of the select. The selected value is
+   *  kept if it's still an option.
+   *
+   * @param {Object[]} options The options, in order: { value, text }.
+   *
+   */
+  setOptions(options) {
+    const { value } = this.input;
+    this.input.innerHTML = '';
+    options.forEach((option) => {
+      this.input.appendChild(generateElement('option', { value: option.value, textContent: option.text }));
+    });
+    if (options.some(option => option.value === value)) this.input.value = value;
   },
 
   /**
-   * setHTML - Sets the state of the HTML based on the values of the Switch
-   *  Field and Text Field. If the switch is checked then the HTML is displayed
-   *  with its href set to the value of the textField.
+   * save - Saves the selected value to the docInfo.
    *
    */
-  setHTML() {
-    if (this.html) {
-      if (this.switchField.value()) {
-        const url = validateURL(this.textField.value());
-        if (!url) throw Error('Invalid URL');
-        this.html.href = url;
-        this.html.style.display = 'block';
-      } else {
-        this.html.style.display = 'none';
-      }
-    }
+  save() {
+    this.docInfo[this.targetID] = this.input.value;
   },
 
   /**
-   * switchChangeListener - Hides or displays the text field depending on the
-   *  state of the switch.
+   * load - Selects the value in the docInfo.
    *
    */
-  switchChangeListener() {
-    if (this.switchField.value() === true) {
-      this.textField.display();
-    } else {
-      this.textField.hide();
-    }
+  load() {
+    this.input.value = this.docInfo[this.targetID];
   },
 
   /**
-   * save - Saves the state of the Optional Link Field. If the switch is checked
-   *  and there is a valid url in the text field, it will be saved to the
-   *  docInfo. Otherwise, it will be removed from the docInfo.
+   * showError - Sets the error message to the given value then displays it.
    *
+   * @param {String} msg The message to display as an error.
+   *
+   */
+  showError(msg) {
+    this.errorMessage.textContent = msg;
+    this.errorMessage.style.display = 'block';
+    this.input.classList.add('settingsField--error');
+  },
+
+  /**
+   * hideError - Removes the error message text then hides it.
+   *
+   */
+  hideError() {
+    this.errorMessage.textContent = '';
+    this.errorMessage.style.display = 'none';
+    this.input.classList.remove('settingsField--error');
+  },
+
+  /**
+   * value - Get the selected value.
+   *
+   * @returns {String} Returns the value of the selected option.
+   */
+  value() {
+    return this.input.value;
+  },
+};
+
+export const SelectField = Object.assign(SelectFieldBase, field);
+
+/**
+ * CTAListFieldBase - A CTA List Field lets the user edit an ordered list of
+ *  call-to-action buttons. Each button has its own text, URL, colors and
+ *  whether its link is tagged for the email's campaign. Buttons can be added,
+ *  removed and dragged to reorder them.
+ */
+const CTAListFieldBase = {
+
+  /**
+   * init - Initializes the CTA List Field. Creates the list container, the
+   *  "Add Button" button and the error message.
+   *
+   * @param {Object} docInfo    The docInfo to read from and save to.
+   * @param {String} labelText  The string to be used in the label.
+   * @param {String} targetID   The property of the docInfo containing the list
+   *  of buttons.
+   *
+   * @returns {CTAListField} Returns the newly initialized CTAListField.
+   */
+  init(docInfo, labelText, targetID) {
+    this.targetID = targetID;
+    this.initField(docInfo);
+    this.ctn.classList.add('settingsField--list');
+    this.list = generateElement('div', { klasses: ['ctaList'] });
+    this.addBtn = generateStandardButton('Add Button');
+    this.errorMessage = generateElement('div', { klasses: ['settingsField__error--message'] });
+    appendChildren(this.ctn, [
+      generateElement('label', { textContent: labelText }),
+      this.list,
+      this.addBtn,
+      this.errorMessage,
+    ]);
+    // New buttons are given the colors of the email's brand.
+    this.addBtn.addEventListener('click', () => this.addRow(Object.assign({
+      text: '',
+      url: '',
+      tracking: true,
+    }, this.docInfo.brand.cta)));
+    this.list.addEventListener('dragover', this.dragOverHandler.bind(this));
+    return this;
+  },
+
+  /**
+   * addRow - Adds a row for editing a single button to the list.
+   *
+   * @param {Object} link The button to edit.
+   *
+   * @returns {Element} Returns the new row.
+   */
+  addRow(link) {
+    const row = generateElement('div', { klasses: ['ctaList__row'] });
+    const handle = generateElement('span', { klasses: ['ctaList__handle'], title: 'Drag to reorder', innerHTML: '&#9776;' });
+    row.inputs = {
+      text: generateElement('input', { type: 'text', placeholder: 'Button text', value: link.text }),
+      url: generateElement('input', { type: 'text', placeholder: 'Button URL', value: link.url }),
+      color: generateElement('input', { type: 'color', title: 'Text color', value: link.color }),
+      background: generateElement('input', { type: 'color', title: 'Background color', value: link.background }),
+      tracking: generateElement('input', { type: 'checkbox' }),
+    };
+    row.inputs.tracking.checked = link.tracking;
+    const trackingLabel = generateElement('label', {
+      klasses: ['ctaList__tracking'],
+      title: 'Add the campaign tracking (UTM) parameters to this button\'s link',
+    });
+    appendChildren(trackingLabel, [row.inputs.tracking, generateElement('span', { textContent: 'Track' })]);
+    row.inputs.text.classList.add('ctaList__text');
+    row.inputs.url.classList.add('ctaList__url');
+    const removeBtn = generateElement('button', {
+      klasses: ['ctaList__remove'],
+      title: 'Remove Button',
+      innerHTML: '&times;',
+    });
+    removeBtn.addEventListener('click', () => this.list.removeChild(row));
+    // Rows are only draggable by their handle so the inputs remain selectable.
+    handle.addEventListener('mousedown', () => row.setAttribute('draggable', 'true'));
+    handle.addEventListener('mouseup', () => row.removeAttribute('draggable'));
+    row.addEventListener('dragstart', () => {
+      this.draggedRow = row;
+      row.classList.add('ctaList__row--dragging');
+    });
+    row.addEventListener('dragend', () => {
+      this.draggedRow = null;
+      row.removeAttribute('draggable');
+      row.classList.remove('ctaList__row--dragging');
+    });
+    appendChildren(row, [
+      handle,
+      row.inputs.text,
+      row.inputs.url,
+      row.inputs.color,
+      row.inputs.background,
+      trackingLabel,
+      removeBtn,
+    ]);
+    this.list.appendChild(row);
+    return row;
+  },
+
+  /**
+   * dragOverHandler - Moves the row being dragged to the position under the
+   *  cursor.
+   *
+   * @param {DragEvent} e The dragover event.
+   *
+   */
+  dragOverHandler(e) {
+    if (!this.draggedRow) return;
+    e.preventDefault();
+    const target = e.target.closest('.ctaList__row');
+    if (!target || target === this.draggedRow) return;
+    const rect = target.getBoundingClientRect();
+    const after = e.clientY > rect.top + (rect.height / 2);
+    this.list.insertBefore(this.draggedRow, after ? target.nextSibling : target);
+  },
+
+  /**
+   * save - Saves the buttons, in their current order, to the docInfo.
+   *
+   * @throws {Error} Throws if a button is missing its text or has an invalid
+   *  URL, describing the problem. Nothing is saved in that case.
    */
   save() {
-    let val = null;
-    if (this.switchField.value() === true) {
-      const url = validateURL(this.textField.value());
-      if (!url) throw Error('Invalid URL');
-      if (this.html) this.html.href = url;
-      val = {
-        text: this.html ? this.html.textContent : null,
-        url,
+    const links = Array.from(this.list.children).map((row, i) => {
+      const text = row.inputs.text.value.trim();
+      if (!text) throw Error(`Button ${i + 1} needs some text.`);
+      const link = parseLink(row.inputs.url.value);
+      if (!link.valid) throw Error(`Button ${i + 1}: ${link.error}`);
+      return {
+        text,
+        url: link.url,
+        color: row.inputs.color.value,
+        background: row.inputs.background.value,
+        tracking: row.inputs.tracking.checked,
       };
-    }
-    this.setHTML();
-    this.docInfo[this.targetID] = val;
+    });
+    this.docInfo[this.targetID] = links;
   },
 
   /**
-   * load - Loads the state of the Optional Link Field form the docInfo and sets
-   *  the HTML.
+   * load - Loads the buttons from the docInfo.
    *
    */
   load() {
-    if (this.docInfo[this.targetID]) {
-      this.switchField.input.checked = true;
-      this.textField.input.value = this.docInfo[this.targetID].url;
-      this.textField.display();
-    } else {
-      this.switchField.input.checked = false;
-      this.textField.hide();
-    }
-    this.setHTML();
+    this.list.innerHTML = '';
+    this.docInfo[this.targetID].forEach(link => this.addRow(link));
+  },
+
+  /**
+   * showError - Sets the error message to the given value then displays it.
+   *
+   * @param {String} msg The message to display as an error.
+   *
+   */
+  showError(msg) {
+    this.errorMessage.textContent = msg;
+    this.errorMessage.style.display = 'block';
+  },
+
+  /**
+   * hideError - Removes the error message text then hides it.
+   *
+   */
+  hideError() {
+    this.errorMessage.textContent = '';
+    this.errorMessage.style.display = 'none';
   },
 };
 
-export const OptionalLinkField = Object.assign(OptionalLinkFieldBase, field);
+export const CTAListField = Object.assign(CTAListFieldBase, field);
@@ -1,5 +1,235 @@
 import { generateElement } from '../lib.js';
-import { TextField, OptionalLinkField } from './settingsFields';
+import {
+  TextField,
+  NumberField,
+  ColorField,
+  SwitchField,
+  HeadingField,
+  SelectField,
+  CTAListField,
+} from './settingsFields';
+import {
+  copyBrand,
+  loadBrandKit,
+  rebrandFooter,
+  rebrandLinks,
+} from '../brands.js';
+import { getFooterLink, socialNetworks } from '../footer.js';
+import { fontOptions, restyleContents, styleFromBrand } from '../emailStyle.js';
+
+// The sizes allowed in the Design settings, in pixels.
+const headingSizeRange = { min: 12, max: 48, step: 1 };
+const bodySizeRange = { min: 10, max: 24, step: 1 };
+const lineHeightRange = { min: 1, max: 3, step: 0.05 };
+
+/**
+ * generateCampaignField - Creates a field which edits one property of the
+ *  campaign the email's links are tagged for.
+ *
+ * @param {object} FieldType The type of field, TextField or SwitchField.
+ * @param {object} docInfo The docInfo the campaign is read from/saved to.
+ * @param {string} labelText The string to be used in the label.
+ * @param {string} key The property of docInfo.campaign to edit.
+ *
+ * @returns {object} Returns the initialized field.
+ */
+function generateCampaignField(FieldType, docInfo, labelText, key) {
+  const campaignField = Object.create(FieldType);
+  campaignField.init(
+    docInfo,
+    labelText,
+    key,
+    function save() {
+      const value = this.value();
+      this.docInfo.campaign = Object.assign({}, this.docInfo.campaign, {
+        [key]: typeof value === 'string' ? value.trim() : value,
+      });
+    },
+    function load() {
+      if (this.input.type === 'checkbox') {
+        this.input.checked = this.docInfo.campaign[key];
+      } else {
+        this.input.value = this.docInfo.campaign[key];
+      }
+    },
+  );
+  return campaignField;
+}
+
+/**
+ * saveStyle - Changes one property of the email's design. The email's
+ *  headings and text are restyled to match.
+ *
+ * @param {object} docInfo The docInfo the design is saved to.
+ * @param {string} key The property of docInfo.style to change.
+ * @param {*} value The new value.
+ *
+ */
+function saveStyle(docInfo, key, value) {
+  if (docInfo.style[key] === value) return;
+  const style = Object.assign({}, docInfo.style, { [key]: value });
+  const target = docInfo;
+  target.contents = restyleContents(docInfo.contents, style);
+  target.style = style;
+}
+
+/**
+ * generateStyleField - Creates a field which edits one property of the
+ *  email's design.
+ *
+ * @param {object} FieldType The type of field, NumberField or ColorField.
+ * @param {object} docInfo The docInfo the design is read from/saved to.
+ * @param {string} labelText The string to be used in the label.
+ * @param {string} key The property of docInfo.style to edit.
+ * @param {object} [range] The numbers allowed, for a NumberField.
+ *
+ * @returns {object} Returns the initialized field.
+ */
+function generateStyleField(FieldType, docInfo, labelText, key, range) {
+  const styleField = Object.create(FieldType);
+  const save = function save() {
+    saveStyle(this.docInfo, key, this.value());
+  };
+  const load = function load() {
+    this.input.value = this.docInfo.style[key];
+  };
+  if (range) {
+    styleField.init(docInfo, labelText, key, range, save, load);
+  } else {
+    styleField.init(docInfo, labelText, key, save, load);
+  }
+  return styleField;
+}
+
+/**
+ * generateFontField - Creates a field which chooses one of the fonts of the
+ *  email's design.
+ *
+ * @param {object} docInfo The docInfo the design is read from/saved to.
+ * @param {string} labelText The string to be used in the label.
+ * @param {string} key The property of docInfo.style to edit.
+ *
+ * @returns {object} Returns the initialized field.
+ */
+function generateFontField(docInfo, labelText, key) {
+  const fontField = Object.create(SelectField);
+  fontField.init(
+    docInfo,
+    labelText,
+    key,
+    function save() {
+      saveStyle(this.docInfo, key, this.value());
+    },
+    function load() {
+      const font = this.docInfo.style[key];
+      // A font from the brand kit which isn't in the list is listed as is.
+      const options = fontOptions.some(option => option.value === font)
+        ? fontOptions
+        : [{ value: font, text: font }].concat(fontOptions);
+      this.setOptions(options);
+      this.input.value = font;
+    },
+  );
+  return fontField;
+}
+
+/**
+ * generateFooterField - Creates a field which edits one of the values of the
+ *  email's footer. Links are checked and web addresses are normalized, eg.
+ *  given https://. Numbers and email addresses are kept as entered.
+ *
+ * @param {object} docInfo The docInfo the footer is read from/saved to.
+ * @param {string} labelText The string to be used in the label.
+ * @param {string} key The property of docInfo.footer to edit.
+ * @param {string} [network=null] The social network to edit instead, in which
+ *  case key is 'social'.
+ *
+ * @returns {object} Returns the initialized field.
+ */
+function generateFooterField(docInfo, labelText, key, network = null) {
+  const footerField = Object.create(TextField);
+  footerField.init(
+    docInfo,
+    labelText,
+    key,
+    function save() {
+      const { footer } = this.docInfo;
+      const current = network ? footer.social[network] : footer[key];
+      let value = this.value().trim();
+      // Values left as they were aren't normalized, so a brand's footer still
+      // matches the brand. See rebrandFooter.
+      if (value && value !== current && key !== 'note') {
+        const link = getFooterLink(key, value);
+        if (!link.valid) throw Error(link.error);
+        if (link.type === 'web') value = link.url;
+      }
+      const updated = Object.assign({}, footer);
+      if (network) {
+        updated.social = Object.assign({}, footer.social, { [network]: value });
+      } else {
+        updated[key] = value;
+      }
+      this.docInfo.footer = updated;
+    },
+    function load() {
+      const { footer } = this.docInfo;
+      this.input.value = network ? footer.social[network] : footer[key];
+    },
+  );
+  return footerField;
+}
+
+/**
+ * generateBrandField - Creates the field which chooses the email's brand from
+ *  the brand kit. Changing the brand gives the email's design the brand's
+ *  fonts and heading colors, restyling its headings and text,
+ *  moves its buttons to the new brand's colors and, unless it's been edited,
+ *  swaps its footer for the new brand's.
+ *
+ * @param {object} docInfo The docInfo the brand is read from/saved to.
+ *
+ * @returns {object} Returns the initialized field. Its options are added once
+ *  the brand kit has loaded.
+ */
+function generateBrandField(docInfo) {
+  const brandField = Object.create(SelectField);
+  brandField.brands = [];
+  brandField.init(
+    docInfo,
+    'Brand',
+    'brand',
+    function save() {
+      const current = this.docInfo.brand;
+      const brand = this.brands.find(option => option.id === this.value());
+      if (!brand || brand.id === current.id) return;
+      const style = styleFromBrand(this.docInfo.style, brand);
+      this.docInfo.contents = restyleContents(this.docInfo.contents, style);
+      this.docInfo.style = style;
+      this.docInfo.links = rebrandLinks(this.docInfo.links, current, brand);
+      this.docInfo.footer = rebrandFooter(this.docInfo.footer, current, brand);
+      this.docInfo.brand = copyBrand(brand);
+    },
+    function load() {
+      const current = this.docInfo.brand;
+      // The email's own copy of its brand is listed if the kit doesn't have it.
+      const brands = this.brands.some(brand => brand.id === current.id)
+        ? this.brands
+        : [current].concat(this.brands);
+      this.setOptions(brands.map(brand => ({ value: brand.id, text: brand.name })));
+      this.input.value = current.id;
+      // The brand kit as shipped only has ISA's profile. See brands.js.
+      this.input.disabled = brands.length < 2;
+      this.input.title = brands.length < 2
+        ? 'Only one brand is set up. Other divisions are added to the brand kit, assets/brandKit.json.'
+        : '';
+    },
+  );
+  loadBrandKit().then((brands) => {
+    brandField.brands = brands;
+    brandField.load();
+  });
+  return brandField;
+}
 
 const SettingsView = {
   $ctn: generateElement('div'),
@@ -10,12 +240,16 @@ const SettingsView = {
    *  users to adjust the settings of their email.
    *
    * @param {Modal} modal The Modal in which the SettingsView will be displayed.
+   * @param {object} docInfo The docInfo the settings are read from/saved to.
+   * @param {function} [onSave] An optional function called once the settings
+   *  have been successfully saved.
    *
    * @returns {SettingsView} Returns this view.
    */
-  init(modal, docInfo) {
+  init(modal, docInfo, onSave = null) {
     this.modal = modal;
     this.docInfo = docInfo;
+    this.onSave = onSave;
     this.$ctn.innerHTML = '';
     this.$ctn.appendChild(this.$heading);
     this.generateFields();
@@ -30,15 +264,83 @@ const SettingsView = {
     this.fields = [];
 
     const title = Object.create(TextField);
-    title.init(this.docInfo, 'Email Title', 'title');
+    // Emails without a title can't be saved. See validateDocInfo.
+    title.init(this.docInfo, 'Email Title', 'title', function save() {
+      const value = this.value().trim();
+      if (!value) throw Error('Give your email a title.');
+      this.docInfo.title = value;
+    });
+
+    const subject = Object.create(TextField);
+    subject.init(this.docInfo, 'Email Subject', 'subject');
+
+    const preheader = Object.create(TextField);
+    preheader.init(this.docInfo, 'Email Preview (shown after the subject in the inbox)', 'preheader');
+
+    const responsive = Object.create(SwitchField);
+    responsive.init(this.docInfo, 'Adapt the layout to phones', 'responsive');
+
+    const tracking = generateCampaignField(SwitchField, this.docInfo, 'Tag links for campaign tracking (UTM)', 'enabled');
+    const source = generateCampaignField(TextField, this.docInfo, 'Campaign Source', 'source');
+    const medium = generateCampaignField(TextField, this.docInfo, 'Campaign Medium', 'medium');
+    const name = generateCampaignField(TextField, this.docInfo, 'Campaign Name (use the same as in GRS)', 'name');
+
+    const links = Object.create(CTAListField);
+    links.init(this.docInfo, 'Buttons', 'links');
+
+    const designHeading = Object.create(HeadingField);
+    designHeading.init(this.docInfo, 'Design');
+    const designFields = [
+      generateFontField(this.docInfo, 'Heading Font', 'headingFont'),
+      generateStyleField(NumberField, this.docInfo, 'Large Heading Size (px)', 'largeHeadingSize', headingSizeRange),
+      generateStyleField(NumberField, this.docInfo, 'Small Heading Size (px)', 'smallHeadingSize', headingSizeRange),
+      generateStyleField(ColorField, this.docInfo, 'Large Heading Color', 'largeHeadingColor'),
+      generateStyleField(ColorField, this.docInfo, 'Small Heading Color', 'smallHeadingColor'),
+      generateFontField(this.docInfo, 'Body Font', 'bodyFont'),
+      generateStyleField(NumberField, this.docInfo, 'Body Text Size (px)', 'bodySize', bodySizeRange),
+      generateStyleField(NumberField, this.docInfo, 'Line Height (times the text size)', 'lineHeight', lineHeightRange),
+      generateStyleField(ColorField, this.docInfo, 'Body Text Color', 'bodyColor'),
+      generateStyleField(ColorField, this.docInfo, 'Link Color', 'linkColor'),
+    ];
 
-    const advisingLink = Object.create(OptionalLinkField);
-    advisingLink.init(this.docInfo.links, 'Advising Session', 'advisingLink');
+    const footerHeading = Object.create(HeadingField);
+    footerHeading.init(this.docInfo, 'Footer');
+    const copyFooter = Object.create(SwitchField);
+    copyFooter.init(this.docInfo, 'Include the footer in the copied code (instead of the GRS general footer)', 'copyFooter');
+    const footerFields = [
+      generateFooterField(this.docInfo, 'Phone Number', 'phone'),
+      generateFooterField(this.docInfo, 'Text Message Number', 'sms'),
+      generateFooterField(this.docInfo, 'Email Address', 'email'),
+      generateFooterField(this.docInfo, 'Website', 'website'),
+      generateFooterField(this.docInfo, 'Advising Link', 'advising'),
+    ].concat(
+      socialNetworks.map(network => generateFooterField(this.docInfo, network.name, 'social', network.key)),
+      generateFooterField(this.docInfo, 'Small Print', 'note'),
+    );
 
-    const applicationLink = Object.create(OptionalLinkField);
-    applicationLink.init(this.docInfo.links, 'Application Link', 'applicationLink');
+    // Saved after the design, buttons and footer, which it may change.
+    const brandHeading = Object.create(HeadingField);
+    brandHeading.init(this.docInfo, 'Brand');
+    const brand = generateBrandField(this.docInfo);
 
-    this.fields.push(title, advisingLink, applicationLink);
+    this.fields.push(
+      title,
+      subject,
+      preheader,
+      responsive,
+      tracking,
+      source,
+      medium,
+      name,
+      links,
+      designHeading,
+      ...designFields,
+      footerHeading,
+      copyFooter,
+      ...footerFields,
+      brandHeading,
+      brand,
+    );
     this.loadFields();
   },
 
@@ -86,7 +388,10 @@ const SettingsView = {
         errors.push(err);
       }
     });
-    if (errors.length === 0) this.modal.hide();
+    if (errors.length === 0) {
+      if (this.onSave) this.onSave();
+      this.modal.hide();
+    }
     return true;
   },
 };
@@ -0,0 +1,328 @@
+import {
+  appendChildren,
+  downloadFile,
+  generateElement,
+  generateStandardButton,
+} from '../lib.js';
+import {
+  deleteSnippet,
+  generateSnippetFile,
+  importSnippets,
+  listSnippets,
+  parseSnippetFile,
+  saveSnippet,
+} from '../storage/snippetLibrary.js';
+import { generateTextSection, restyleSection } from '../emailStyle.js';
+
+const exportFileName = 'isa-email-snippets.json';
+// The number of characters of a snippet shown in the list.
+const previewLength = 140;
+
+/**
+ * parseSnippet - Parses the HTML of a snippet into nodes which can be
+ *  inserted in the editor.
+ *
+ * @param {string} html The HTML of the snippet.
+ *
+ * @returns {DocumentFragment} Returns the nodes of the snippet.
+ */
+function parseSnippet(html) {
+  const $template = document.createElement('template');
+  $template.innerHTML = html;
+  return document.importNode($template.content, true);
+}
+
+/**
+ * describeSnippet - Gets the start of a snippet's text, for the list. The
+ *  text of each section is separated by a space.
+ *
+ * @param {object} snippet The snippet.
+ *
+ * @returns {string} Returns the text, shortened with an ellipsis if it's long.
+ */
+function describeSnippet(snippet) {
+  const $snippet = parseSnippet(snippet.html);
+  const text = (snippet.inline
+    ? $snippet.textContent
+    : Array.from($snippet.children).map($section => $section.textContent).join(' '))
+    .replace(/\s+/g, ' ').trim();
+  return text.length > previewLength ? `${text.slice(0, previewLength).trim()}…` : text;
+}
+
+const SnippetView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Snippets' }),
+  $description: generateElement(
+    'p',
+    { textContent: 'Keep the text you use in every email, eg. deadline disclaimers, office hours and signatures, and insert it wherever you need it. Snippets are saved in this browser. Export them to share them with your team or use them on another computer.' },
+  ),
+  $saveCtn: generateElement('div', { klasses: ['settingsField', 'snippetView__save'] }),
+  $nameInput: generateElement('input', { type: 'text', placeholder: 'Snippet name' }),
+  $saveBtn: generateStandardButton('Save Selection as Snippet'),
+  $searchInput: generateElement('input', { type: 'search', klasses: ['snippetView__search'], placeholder: 'Search snippets' }),
+  $message: generateElement('p', { klasses: ['snippetView__message'] }),
+  $list: generateElement('div', { klasses: ['snippetView__list'] }),
+  $fileCtn: generateElement('div', { klasses: ['snippetView__files'] }),
+
+  /**
+   * init - Initialize the snippet library. The snippet library saves the
+   *  selection in the editor as a named snippet, lists and searches the saved
+   *  snippets, inserts them at the selection and exports and imports them as
+   *  JSON files.
+   *
+   * @param {Modal} modal The Modal in which the view will be displayed.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email.
+   * @param {EditorSelection} selection The selection in the editor.
+   *
+   * @returns {SnippetView} Returns this view.
+   */
+  init(modal, getDocInfo, selection) {
+    this.modal = modal;
+    this.getDocInfo = getDocInfo;
+    this.selection = selection;
+    this.snippets = [];
+
+    appendChildren(this.$saveCtn, [
+      generateElement('label', { textContent: 'Save the text selected in your email as a snippet:' }),
+      this.$nameInput,
+      this.$saveBtn,
+    ]);
+    const $exportBtn = generateStandardButton('Export Snippets (.json)');
+    $exportBtn.addEventListener('click', this.exportSnippets.bind(this));
+    const $importBtn = generateStandardButton('Import Snippets');
+    $importBtn.addEventListener('click', this.load.bind(this));
+    appendChildren(this.$fileCtn, [$exportBtn, $importBtn]);
+    appendChildren(this.$ctn, [
+      this.$heading,
+      this.$description,
+      this.$saveCtn,
+      this.$message,
+      this.$searchInput,
+      this.$list,
+      this.$fileCtn,
+    ]);
+    this.$saveBtn.addEventListener('click', this.saveSelection.bind(this));
+    this.$searchInput.addEventListener('input', this.renderList.bind(this));
+    return this;
+  },
+
+  /**
+   * showMessage - Displays a message above the list of snippets.
+   *
+   * @param {string} msg The message to display.
+   *
+   */
+  showMessage(msg) {
+    this.$message.textContent = msg;
+  },
+
+  /**
+   * render - Retrieves the snippets from the library and lists them.
+   *
+   * @returns {Promise} Resolves once the snippets have been listed.
+   */
+  render() {
+    return listSnippets()
+      .catch(() => {
+        // Without IndexedDB there's nowhere to keep snippets.
+        this.$saveCtn.classList.add('hide');
+        this.showMessage('Snippets can\'t be saved in this browser.');
+        return [];
+      })
+      .then((snippets) => {
+        this.snippets = snippets;
+        this.renderList();
+      });
+  },
+
+  /**
+   * renderList - Lists the snippets whose name or text contains the search.
+   *
+   */
+  renderList() {
+    const search = this.$searchInput.value.trim().toLowerCase();
+    const snippets = this.snippets.map(snippet => ({ snippet, text: describeSnippet(snippet) }))
+      .filter(({ snippet, text }) => !search
+        || snippet.name.toLowerCase().includes(search)
+        || text.toLowerCase().includes(search));
+    this.$list.innerHTML = '';
+    if (this.snippets.length === 0) {
+      this.$list.appendChild(generateElement('p', { textContent: 'You have no snippets yet. Select some text in your email, name it above and save it.' }));
+    } else if (snippets.length === 0) {
+      this.$list.appendChild(generateElement('p', { textContent: `No snippets match "${this.$searchInput.value.trim()}".` }));
+    }
+    snippets.forEach(({ snippet, text }) => this.$list.appendChild(this.renderItem(snippet, text)));
+    this.modal.adjustHeight();
+  },
+
+  /**
+   * renderItem - Creates the list item displaying a single snippet.
+   *
+   * @param {object} snippet The snippet to display.
+   * @param {string} text The start of the snippet's text.
+   *
+   * @returns {Element} Returns the list item.
+   */
+  renderItem(snippet, text) {
+    const $item = generateElement('div', { klasses: ['snippetView__item'] });
+    const $insertBtn = generateStandardButton('Insert');
+    $insertBtn.addEventListener('click', this.insert.bind(this, snippet));
+    const $deleteBtn = generateStandardButton('Delete');
+    $deleteBtn.addEventListener('click', this.removeSnippet.bind(this, snippet));
+    appendChildren($item, [
+      generateElement('h3', { textContent: snippet.name }),
+      generateElement('p', { textContent: text }),
+      $insertBtn,
+      $deleteBtn,
+    ]);
+    return $item;
+  },
+
+  /**
+   * saveSelection - Saves the selection in the editor as a snippet with the
+   *  name given in the name input.
+   *
+   * @returns {Promise|null} Resolves once the snippet is saved and the list
+   *  updated. Returns null if there's no name or nothing is selected, in which
+   *  case the problem is shown. If the snippet can't be saved, the reason is
+   *  shown instead.
+   */
+  saveSelection() {
+    const name = this.$nameInput.value.trim();
+    if (!name) {
+      this.showMessage('Give your snippet a name before saving it.');
+      return null;
+    }
+    const contents = this.selection.getContents();
+    const $snippet = generateElement('div');
+    if (contents) $snippet.appendChild(contents.$contents);
+    if (!$snippet.textContent.trim() && !$snippet.querySelector('img, hr, [data-block]')) {
+      this.showMessage('Select the text in your email to save as a snippet, then try again.');
+      return null;
+    }
+    return saveSnippet(name, $snippet.innerHTML, contents.inline)
+      .then(() => this.render())
+      .then(() => {
+        this.$nameInput.value = '';
+        this.showMessage(`Saved "${name}" as a snippet.`);
+      })
+      .catch(err => this.showMessage(err.message));
+  },
+
+  /**
+   * insert - Inserts a snippet at the selection in the editor. Inline
+   *  snippets replace the selection. Snippets of whole sections are inserted
+   *  below the section the selection is in, in the email's design.
+   *
+   * @param {object} snippet The snippet to insert.
+   *
+   * @returns {boolean} Returns true if the snippet was inserted. Returns false
+   *  if there's nowhere to put it, in which case the problem is shown.
+   */
+  insert(snippet) {
+    const $snippet = parseSnippet(snippet.html);
+    let inserted;
+    if (snippet.inline) {
+      inserted = this.selection.insertNode($snippet);
+    } else {
+      const { style } = this.getDocInfo();
+      const sections = Array.from($snippet.children)
+        .map($section => restyleSection($section, style));
+      inserted = this.selection.insertSections(sections, generateTextSection(style));
+    }
+    if (!inserted) {
+      this.showMessage('Click in your email where the snippet should go, then try again.');
+      return false;
+    }
+    this.modal.hide();
+    return true;
+  },
+
+  /**
+   * removeSnippet - Deletes a snippet from the library.
+   *
+   * @param {object} snippet The snippet to delete.
+   *
+   * @returns {Promise} Resolves once the snippet is deleted and the list
+   *  updated. If it can't be deleted, the reason is shown instead.
+   */
+  removeSnippet(snippet) {
+    return deleteSnippet(snippet.id)
+      .then(() => this.render())
+      .then(() => this.showMessage(`Deleted "${snippet.name}".`))
+      .catch(err => this.showMessage(err.message));
+  },
+
+  /**
+   * exportSnippets - Downloads every snippet as a JSON file.
+   *
+   * @returns {string|null} Returns the name of the downloaded file, or null if
+   *  there are no snippets to export.
+   */
+  exportSnippets() {
+    if (this.snippets.length === 0) {
+      this.showMessage('You have no snippets to export.');
+      return null;
+    }
+    return downloadFile(exportFileName, generateSnippetFile(this.snippets), 'application/json');
+  },
+
+  /**
+   * load - Prompts the user to choose a file of exported snippets.
+   *
+   */
+  load() {
+    const fileInput = generateElement('input', { type: 'file', accept: '.json', style: { display: 'none' } });
+    fileInput.addEventListener('change', this.parseFile.bind(this));
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    document.body.removeChild(fileInput);
+  },
+
+  /**
+   * parseFile - This function is attached as a 'change' handler to the
+   *  fileInput created in this.load. It adds the snippets in the chosen file
+   *  to the library. If the file can't be read, the problem is shown instead.
+   *
+   * @param {Event} event The change event to handle.
+   *
+   * @returns {boolean} Returns true if a file is being read.
+   */
+  parseFile(event) {
+    const file = event.target.files[0];
+    if (!file) return false;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let snippets;
+      try {
+        snippets = parseSnippetFile(reader.result);
+      } catch (err) {
+        this.showMessage(`"${file.name}" could not be imported. ${err.message}`);
+        return false;
+      }
+      return importSnippets(snippets)
+        .then(count => this.render().then(() => this.showMessage(count > 0
+          ? `Imported ${count} snippet${count === 1 ? '' : 's'} from "${file.name}".`
+          : `You already have every snippet in "${file.name}".`)))
+        .catch(err => this.showMessage(`"${file.name}" could not be imported. ${err.message}`));
+    };
+    reader.readAsText(file);
+    return true;
+  },
+
+  /**
+   * display - Displays this view, utilizing the modal.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    this.showMessage('');
+    this.$searchInput.value = '';
+    this.modal.setSaveHandler(null);
+    this.render();
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default SnippetView;
@@ -0,0 +1,185 @@
+import {
+  appendChildren,
+  generateElement,
+  generateStandardButton,
+} from '../lib.js';
+import {
+  docInfoFromTemplate,
+  docInfoToTemplate,
+  getBuiltInTemplates,
+} from '../templates/templates.js';
+import {
+  deleteTemplate,
+  listTemplates,
+  saveTemplate,
+} from '../storage/templateLibrary.js';
+
+const TemplateView = {
+  $ctn: generateElement('div'),
+  $heading: generateElement('h1', { textContent: 'Start From a Template' }),
+  $description: generateElement(
+    'p',
+    { textContent: 'Choose a template to start a new email. Unsaved changes to your current email will be replaced.' },
+  ),
+  $gallery: generateElement('div', { klasses: ['templateGallery'] }),
+  $saveCtn: generateElement('div', { klasses: ['settingsField', 'templateGallery__save'] }),
+  $nameInput: generateElement('input', { type: 'text', placeholder: 'Template name' }),
+  $saveBtn: generateStandardButton('Save Current Email as Template'),
+  $message: generateElement('p', { klasses: ['templateGallery__message'] }),
+
+  /**
+   * init - Initialize the template view. The template view displays the
+   *  built-in templates alongside those the user has saved, and lets the user
+   *  save the current email as a new template.
+   *
+   * @param {Modal} modal The Modal in which the TemplateView will be displayed.
+   * @param {function} loadCallback The function called with the docInfo of the
+   *  new email when the user chooses a template.
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current email when saving it as a template.
+   *
+   * @returns {TemplateView} Returns this view.
+   */
+  init(modal, loadCallback, getDocInfo) {
+    this.modal = modal;
+    this.loadCallback = loadCallback;
+    this.getDocInfo = getDocInfo;
+    this.builtInTemplates = getBuiltInTemplates();
+
+    appendChildren(this.$saveCtn, [
+      generateElement('label', { textContent: 'Save the current email as a template for your team:' }),
+      this.$nameInput,
+      this.$saveBtn,
+    ]);
+    appendChildren(this.$ctn, [
+      this.$heading,
+      this.$description,
+      this.$message,
+      this.$gallery,
+      this.$saveCtn,
+    ]);
+    this.$saveBtn.addEventListener('click', this.saveCurrent.bind(this));
+    return this;
+  },
+
+  /**
+   * render - Renders the built-in templates and retrieves and renders the
+   *  user's saved templates.
+   *
+   * @returns {Promise} Resolves once every template has been rendered.
+   */
+  render() {
+    return listTemplates()
+      .catch(() => {
+        // Without IndexedDB only the built-in templates are available.
+        this.$saveCtn.classList.add('hide');
+        return [];
+      })
+      .then((templates) => {
+        this.$gallery.innerHTML = '';
+        this.builtInTemplates.concat(templates).forEach((template) => {
+          this.$gallery.appendChild(this.renderCard(template));
+        });
+        this.modal.adjustHeight();
+      });
+  },
+
+  /**
+   * renderCard - Creates the card displaying a single template.
+   *
+   * @param {object} template The template to display.
+   *
+   * @returns {Element} Returns the card.
+   */
+  renderCard(template) {
+    const $card = generateElement('div', { klasses: ['templateGallery__card'] });
+    const $useBtn = generateStandardButton('Use Template');
+    $useBtn.addEventListener('click', this.useTemplate.bind(this, template));
+    appendChildren($card, [
+      generateElement('h3', { textContent: template.name }),
+      generateElement('p', { textContent: template.description }),
+      $useBtn,
+    ]);
+    if (!template.builtIn) {
+      const $deleteBtn = generateStandardButton('Delete');
+      $deleteBtn.addEventListener('click', this.removeTemplate.bind(this, template));
+      $card.appendChild($deleteBtn);
+    }
+    return $card;
+  },
+
+  /**
+   * useTemplate - Starts a new email from the given template and closes the
+   *  modal. If the template can't be loaded, the reason is displayed instead.
+   *
+   * @param {object} template The template to use.
+   *
+   */
+  useTemplate(template) {
+    try {
+      this.loadCallback(docInfoFromTemplate(template));
+    } catch (err) {
+      this.$message.textContent = err.message;
+      return;
+    }
+    this.modal.hide();
+  },
+
+  /**
+   * saveCurrent - Saves the current email as a template with the name given in
+   *  the name input.
+   *
+   * @returns {Promise|null} Resolves once the template is saved and the gallery
+   *  updated. Returns null if no name was given. If the template can't be
+   *  saved, the reason is displayed instead.
+   */
+  saveCurrent() {
+    const name = this.$nameInput.value.trim();
+    if (!name) {
+      this.$message.textContent = 'Give your template a name before saving it.';
+      return null;
+    }
+    return saveTemplate(name, docInfoToTemplate(name, this.getDocInfo()))
+      .then(() => this.render())
+      .then(() => {
+        this.$nameInput.value = '';
+        this.$message.textContent = `Saved "${name}" as a template.`;
+      })
+      .catch((err) => {
+        this.$message.textContent = err.message;
+      });
+  },
+
+  /**
+   * removeTemplate - Deletes one of the user's templates.
+   *
+   * @param {object} template The template to delete.
+   *
+   * @returns {Promise} Resolves once the template is deleted and the gallery
+   *  updated. If it can't be deleted, the reason is displayed instead.
+   */
+  removeTemplate(template) {
+    return deleteTemplate(template.id)
+      .then(() => this.render())
+      .then(() => {
+        this.$message.textContent = `Deleted "${template.name}".`;
+      })
+      .catch((err) => {
+        this.$message.textContent = err.message;
+      });
+  },
+
+  /**
+   * display - Displays this view, utilizing the modal.
+   *
+   * @returns {Element} Returns the modal containing this view.
+   */
+  display() {
+    this.$message.textContent = '';
+    this.modal.setSaveHandler(null);
+    this.render();
+    return this.modal.display(this.$ctn);
+  },
+};
+
+export default TemplateView;
@@ -0,0 +1,193 @@
+import { mergeTags } from './mergeTags.js';
+
+/*
+ * Recipient lists used to preview personalized emails. A list is a .csv file
+ * with a header row, or a .json file containing an array of objects (or a
+ * single object). Columns are matched to merge tags by key or label, so
+ * "FirstName", "First Name" and "first_name" all fill in %%FirstName%%.
+ * Short column names, eg. "Program" and "Advisor", are matched too, and a
+ * "Name" or "Full Name" column is split into a first and last name. Other
+ * columns keep their name as their key. Recipients missing a value for a
+ * merge tag the email uses are flagged.
+ */
+
+// Other column names for merge tags, already normalized.
+const columnAliases = {
+  first: 'FirstName',
+  last: 'LastName',
+  program: 'ProgramName',
+  advisor: 'AdvisorName',
+};
+// Column names, already normalized, holding a recipient's whole name.
+const fullNameColumns = ['name', 'fullname'];
+
+/**
+ * normalizeName - Simplifies a column name or merge tag for comparison.
+ *
+ * @param {string} name The name.
+ *
+ * @returns {string} Returns the name in lower case without punctuation or
+ *  spaces.
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * getColumnKey - Works out which merge tag a column fills in.
+ *
+ * @param {string} column The name of the column.
+ *
+ * @returns {string} Returns the key of the merge tag, or the trimmed column
+ *  name if it doesn't match one.
+ */
+function getColumnKey(column) {
+  const name = normalizeName(column);
+  if (columnAliases[name]) return columnAliases[name];
+  const tag = mergeTags.find(mergeTag => (
+    normalizeName(mergeTag.key) === name || normalizeName(mergeTag.label) === name
+  ));
+  return tag ? tag.key : column.trim();
+}
+
+/**
+ * parseCSV - Parses comma separated values. Quoted values may contain commas,
+ *  line breaks and doubled quotes.
+ *
+ * @param {string} text The CSV.
+ *
+ * @returns {string[][]} Returns the rows, each an array of values. Blank lines
+ *  are skipped.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0].trim()) rows.push(row);
+    row = [];
+    value = '';
+  };
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * keyRecipient - Re-keys a recipient's details by merge tag key.
+ *
+ * @param {object} details The details, keyed by column name.
+ *
+ * @returns {object} Returns the recipient. Values are trimmed strings. A
+ *  whole name fills in the first and last name, unless they're given too.
+ */
+function keyRecipient(details) {
+  const recipient = {};
+  let fullName = '';
+  Object.keys(details).forEach((column) => {
+    const raw = details[column];
+    const value = raw === null || raw === undefined ? '' : String(raw).trim();
+    if (fullNameColumns.includes(normalizeName(column))) {
+      fullName = value;
+    } else {
+      recipient[getColumnKey(column)] = value;
+    }
+  });
+  if (fullName) {
+    // Everything after the first word is taken as the last name.
+    const [first, ...rest] = fullName.split(/\s+/);
+    if (!recipient.FirstName) recipient.FirstName = first;
+    if (!recipient.LastName) recipient.LastName = rest.join(' ');
+  }
+  return recipient;
+}
+
+/**
+ * parseRecipients - Parses a list of recipients.
+ *
+ * @param {string} fileName The name of the file, used to tell CSV from JSON.
+ * @param {string} text The contents of the file.
+ *
+ * @returns {object[]} Returns the recipients, keyed by merge tag key.
+ *
+ * @throws {Error} Throws if the file can't be read or has no recipients.
+ */
+export function parseRecipients(fileName, text) {
+  let recipients;
+  if (/\.json$/i.test(fileName)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (exc) {
+      throw Error(`${fileName} is not valid JSON.`);
+    }
+    const list = Array.isArray(data) ? data : [data];
+    if (!list.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      throw Error(`${fileName} must contain a list of recipients, eg. [{ "FirstName": "Alex" }].`);
+    }
+    recipients = list.map(keyRecipient);
+  } else {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) throw Error(`${fileName} is empty.`);
+    recipients = rows.map((row) => {
+      const details = {};
+      header.forEach((column, i) => {
+        details[column] = row[i] || '';
+      });
+      return keyRecipient(details);
+    });
+  }
+  if (recipients.length === 0) throw Error(`${fileName} has no recipients.`);
+  return recipients;
+}
+
+/**
+ * describeRecipient - Names a recipient for lists and menus.
+ *
+ * @param {object} recipient The recipient.
+ * @param {number} i The index of the recipient in its list.
+ *
+ * @returns {string} Returns the recipient's name, or their number if they
+ *  have no name.
+ */
+export function describeRecipient(recipient, i) {
+  const name = [recipient.FirstName, recipient.LastName].filter(part => part).join(' ');
+  return name || `Recipient ${i + 1}`;
+}
+
+/**
+ * findMissingValues - Finds the merge tags a recipient has no value for.
+ *
+ * @param {object} recipient The recipient.
+ * @param {string[]} keys The keys of the merge tags used in the email.
+ *
+ * @returns {string[]} Returns the keys the recipient is missing, in order.
+ */
+export function findMissingValues(recipient, keys) {
+  return keys.filter(key => !recipient[key]);
+}
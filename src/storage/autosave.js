@@ -0,0 +1,95 @@
+import { DocumentFileType } from '../lib.js';
+
+const storageKey = 'ISAEasyEmailDraft';
+const saveDelay = 1000;
+
+/**
+ * Autosave - Continuously persists the current document to localStorage so an
+ *  accidental reload (or Start Over) doesn't cost the user their work. Saves
+ *  are debounced so typing in the editor doesn't write on every keystroke.
+ */
+const Autosave = {
+
+  /**
+   * init - Initialize the Autosave. Saves a reference to the function used to
+   *  obtain the document to persist and makes sure any pending save is written
+   *  before the page unloads.
+   *
+   * @param {function} getDocInfo The function called to get the docInfo of the
+   *  current document.
+   *
+   * @returns {Autosave} Returns this Autosave.
+   */
+  init(getDocInfo) {
+    this.getDocInfo = getDocInfo;
+    this.timeout = null;
+    window.addEventListener('beforeunload', this.flush.bind(this));
+    return this;
+  },
+
+  /**
+   * schedule - Schedules a save of the current document. Any save already
+   *  scheduled is pushed back so only the latest state is written.
+   *
+   */
+  schedule() {
+    if (this.timeout) clearTimeout(this.timeout);
+    this.timeout = setTimeout(this.save.bind(this), saveDelay);
+  },
+
+  /**
+   * flush - Immediately writes a scheduled save, if there is one.
+   *
+   */
+  flush() {
+    if (this.timeout) this.save();
+  },
+
+  /**
+   * save - Writes the current document, along with the time it was saved, to
+   *  localStorage.
+   *
+   * @returns {boolean} Returns true if the draft was saved. Otherwise (eg. the
+   *  storage is full or disabled) returns false.
+   */
+  save() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    const draft = {
+      savedAt: Date.now(),
+      docInfo: this.getDocInfo(),
+    };
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(draft));
+    } catch (exc) {
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * load - Retrieves the saved draft from localStorage.
+   *
+   * @returns {object|null} Returns an object containing the docInfo of the
+   *  draft and the time (in ms since epoch) at which it was saved. Returns null
+   *  if there is no draft or the stored draft isn't an ISA Email.
+   */
+  load() {
+    let draft;
+    try {
+      draft = JSON.parse(window.localStorage.getItem(storageKey));
+    } catch (exc) {
+      return null;
+    }
+    if (
+      !draft
+      || !draft.docInfo
+      || draft.docInfo.fileType !== DocumentFileType
+    ) {
+      return null;
+    }
+    return draft;
+  },
+};
+
+export default Autosave;
@@ -0,0 +1,122 @@
+const dbName = 'ISAEasyEmail';
+const dbVersion = 3;
+// Every object store in the database. All stores use an auto-incrementing id.
+const storeNames = ['drafts', 'templates', 'snippets'];
+
+let dbPromise = null;
+
+/**
+ * requestToPromise - Wraps an IDBRequest in a Promise.
+ *
+ * @param {IDBRequest} request The request to wrap.
+ *
+ * @returns {Promise} Resolves with the result of the request or rejects with
+ *  its error.
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+}
+
+/**
+ * openDatabase - Opens (creating or upgrading if necessary) the ISA Easy Email
+ *  IndexedDB database. The database is only opened once; subsequent calls
+ *  return the same Promise, unless opening it failed.
+ *
+ * @returns {Promise} Resolves with the IDBDatabase.
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    if (!window.indexedDB) {
+      return Promise.reject(Error('IndexedDB is not supported in this browser.'));
+    }
+    const request = window.indexedDB.open(dbName, dbVersion);
+    request.addEventListener('upgradeneeded', () => {
+      const db = request.result;
+      storeNames.forEach((storeName) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+        }
+      });
+    });
+    const blocked = new Promise((resolve, reject) => {
+      // Fired when another tab has an older version of the database open.
+      request.addEventListener('blocked', () => reject(Error('Close ISA Easy Email in your other tabs, then try again.')));
+    });
+    dbPromise = Promise.race([requestToPromise(request), blocked]).catch((err) => {
+      // Let the next call try to open the database again.
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * withStore - Opens a transaction on the given store and performs the given
+ *  action with it.
+ *
+ * @param {string} storeName The name of the object store to use.
+ * @param {string} mode The transaction mode ('readonly' or 'readwrite').
+ * @param {function} action Called with the IDBObjectStore. Must return the
+ *  IDBRequest it makes.
+ *
+ * @returns {Promise} Resolves with the result of the request.
+ */
+function withStore(storeName, mode, action) {
+  return openDatabase().then((db) => {
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return requestToPromise(action(store));
+  });
+}
+
+/**
+ * getAllRecords - Retrieves every record in the given store.
+ *
+ * @param {string} storeName The name of the object store.
+ *
+ * @returns {Promise} Resolves with an array of records.
+ */
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * getRecord - Retrieves a single record from the given store.
+ *
+ * @param {string} storeName The name of the object store.
+ * @param {number} id The id of the record.
+ *
+ * @returns {Promise} Resolves with the record, or undefined if it doesn't
+ *  exist.
+ */
+export function getRecord(storeName, id) {
+  return withStore(storeName, 'readonly', store => store.get(id));
+}
+
+/**
+ * putRecord - Adds or updates a record in the given store. If the record has
+ *  no id, a new one is assigned.
+ *
+ * @param {string} storeName The name of the object store.
+ * @param {object} record The record to save.
+ *
+ * @returns {Promise} Resolves with the id of the saved record.
+ */
+export function putRecord(storeName, record) {
+  return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * deleteRecord - Removes a record from the given store.
+ *
+ * @param {string} storeName The name of the object store.
+ * @param {number} id The id of the record to delete.
+ *
+ * @returns {Promise} Resolves once the record is deleted.
+ */
+export function deleteRecord(storeName, id) {
+  return withStore(storeName, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,334 @@
+import { DocumentFileType, isNonEmptyString, isObject } from '../lib.js';
+import { defaultCTAColors, defaultLinks } from '../ctaButtons.js';
+import { defaultCampaign } from '../export/campaignTags.js';
+import { copyBrand, defaultBrand, validateBrand } from '../brands.js';
+import {
+  copyFooter,
+  defaultFooter,
+  generateEmptyFooter,
+  validateFooter,
+} from '../footer.js';
+import { defaultStyle, styleFromBrand, validateStyle } from '../emailStyle.js';
+
+/*
+ * The .isaemail file format. Every saved email is a JSON object shaped like:
+ *
+ * {
+ *   fileType: 'ISAEmail_config',
+ *   version: 9,
+ *   title: 'ISA Email 2018-10-01 12:00',
+ *   subject: 'Study in Spain this Summer',
+ *   preheader: 'Applications close on May 1st.',
+ *   responsive: true,
+ *   campaign: { enabled: true, source: 'InsideISA', medium: 'email', name: 'Spain Summer' },
+ *   brand: { id: 'isa', name: 'ISA', ... },
+ *   footer: { phone: '512-480-8522', email: 'isa@studiesabroad.com', ... },
+ *   copyFooter: false,
+ *   style: { headingFont: "'Helvetica', sans-serif", bodySize: 16, ... },
+ *   dateCreated: '2018-10-01 12:00',
+ *   contents: '<div class="wf__editor" ...>...</div>',
+ *   links: [
+ *     {
+ *       text: 'Apply Now',
+ *       url: 'https://...',
+ *       color: '#ffffff',
+ *       background: '#00253d',
+ *       tracking: true,
+ *     },
+ *   ],
+ * }
+ *
+ * The brand is a copy of a brand profile. See brands.js. The footer is shown
+ * below the email and is only added to the copied code if copyFooter is set.
+ * See footer.js. The style is the look of the email's text. See emailStyle.js.
+ *
+ * Files saved before the format was versioned have no version field and are
+ * treated as version 1. Whenever the format changes, DocumentVersion is bumped
+ * and a migration from the previous version is added to migrations below.
+ */
+export const DocumentVersion = 9;
+
+// Before version 3 there were exactly two bottom links, stored by these keys.
+const legacyLinkKeys = ['advisingLink', 'applicationLink'];
+
+/**
+ * createFormatError - Creates an Error describing why a document couldn't be
+ *  loaded. The individual problems are attached as the errors property so
+ *  they can be listed for the user.
+ *
+ * @param {string[]} errors The problems found with the document.
+ *
+ * @returns {Error} Returns the Error.
+ */
+function createFormatError(errors) {
+  const error = Error(`Invalid email file: ${errors.join(' ')}`);
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * migrations - Each key is a version number and each value is a function which
+ *  takes a docInfo of that version and returns it upgraded to the next one.
+ *  Migrations which rely on the shape of the previous version check it first,
+ *  throwing a format error (see createFormatError) if the docInfo doesn't
+ *  have it.
+ */
+const migrations = {
+  // Version 1 -> 2: Adds the version field. Unversioned builds could save a
+  // null link text when the link wasn't found on the page.
+  1(docInfo) {
+    const links = {};
+    legacyLinkKeys.forEach((key) => {
+      const link = docInfo.links ? docInfo.links[key] : null;
+      links[key] = link ? { text: link.text || '', url: link.url } : null;
+    });
+    return Object.assign({}, docInfo, { version: 2, links });
+  },
+
+  // Version 2 -> 3: The two optional bottom links become an ordered list of
+  // CTA buttons with their own colors. Disabled (null) links are dropped.
+  2(docInfo) {
+    if (!isObject(docInfo.links)) throw createFormatError(['The email has no links.']);
+    const links = [];
+    legacyLinkKeys.forEach((key, i) => {
+      const link = docInfo.links[key];
+      if (link && (!isObject(link) || !isNonEmptyString(link.url))) {
+        throw createFormatError([`Link ${i + 1} is missing its URL.`]);
+      }
+      if (link) {
+        links.push(Object.assign({}, defaultCTAColors, {
+          text: link.text || defaultLinks[i].text,
+          url: link.url,
+        }));
+      }
+    });
+    return Object.assign({}, docInfo, { version: 3, links });
+  },
+
+  // Version 3 -> 4: Adds the subject line and preheader (the preview text
+  // shown after the subject in the inbox).
+  3(docInfo) {
+    return Object.assign({}, docInfo, { version: 4, subject: '', preheader: '' });
+  },
+
+  // Version 4 -> 5: Adds the option to export a layout which adapts to phones.
+  // Existing emails get it too.
+  4(docInfo) {
+    return Object.assign({}, docInfo, { version: 5, responsive: true });
+  },
+
+  // Version 5 -> 6: Adds campaign (UTM) tagging of the email's links, which
+  // every button takes part in until it's switched off.
+  5(docInfo) {
+    if (!Array.isArray(docInfo.links)) {
+      throw createFormatError(['The email has no list of buttons.']);
+    }
+    return Object.assign({}, docInfo, {
+      version: 6,
+      campaign: Object.assign({}, defaultCampaign),
+      links: docInfo.links.map(link => Object.assign({}, link, { tracking: true })),
+    });
+  },
+
+  // Version 6 -> 7: Adds the brand profile. Every email so far was ISA's.
+  6(docInfo) {
+    return Object.assign({}, docInfo, { version: 7, brand: copyBrand(defaultBrand) });
+  },
+
+  // Version 7 -> 8: The footer image becomes an editable footer generated from
+  // contact details, which brands provide in place of an image. Brands without
+  // a footer image (null) showed ISA's standard footer, so they get its contact
+  // details. A brand's own footer image can't be turned into contact details,
+  // so its emails start with an empty footer. Footers were left out of the
+  // copied code.
+  7(docInfo) {
+    const hadStandardFooter = isObject(docInfo.brand) && docInfo.brand.footer === null;
+    const footer = hadStandardFooter ? copyFooter(defaultFooter) : generateEmptyFooter();
+    return Object.assign({}, docInfo, {
+      version: 8,
+      brand: Object.assign({}, docInfo.brand, { footer: copyFooter(footer) }),
+      footer,
+      copyFooter: false,
+    });
+  },
+
+  // Version 8 -> 9: Adds the design settings. Emails so far had the editor's
+  // original sizes and colors, along with their brand's fonts.
+  8(docInfo) {
+    const errors = validateBrand(docInfo.brand);
+    if (errors.length > 0) throw createFormatError(errors);
+    return Object.assign({}, docInfo, {
+      version: 9,
+      style: styleFromBrand(defaultStyle, docInfo.brand),
+    });
+  },
+};
+
+/**
+ * getVersion - Gets the format version of the given docInfo.
+ *
+ * @param {object} docInfo The docInfo to check.
+ *
+ * @returns {number} Returns the version. Unversioned documents are version 1.
+ */
+export function getVersion(docInfo) {
+  return docInfo.version === undefined ? 1 : docInfo.version;
+}
+
+/**
+ * validateLink - Validates a single CTA button.
+ *
+ * @param {*} link The CTA button.
+ * @param {number} i The index of the button in docInfo.links.
+ *
+ * @returns {string[]} Returns an array of the problems found.
+ */
+function validateLink(link, i) {
+  const name = `Button ${i + 1}`;
+  if (!isObject(link)) return [`${name} must be an object.`];
+  const errors = [];
+  if (!isNonEmptyString(link.text)) errors.push(`${name} is missing its text.`);
+  if (!isNonEmptyString(link.url)) errors.push(`${name} is missing its URL.`);
+  if (!isNonEmptyString(link.color)) errors.push(`${name} is missing its text color.`);
+  if (!isNonEmptyString(link.background)) errors.push(`${name} is missing its background color.`);
+  if (typeof link.tracking !== 'boolean') {
+    errors.push(`${name} doesn't say whether its link is tracked.`);
+  }
+  return errors;
+}
+
+/**
+ * validateCampaign - Validates the campaign the email's links are tagged for.
+ *
+ * @param {*} campaign The campaign to validate.
+ *
+ * @returns {string[]} Returns an array of the problems found.
+ */
+function validateCampaign(campaign) {
+  if (!isObject(campaign)) return ['The email has no campaign settings.'];
+  const errors = [];
+  if (typeof campaign.enabled !== 'boolean') {
+    errors.push('The campaign settings don\'t say whether links are tagged.');
+  }
+  ['source', 'medium', 'name'].forEach((key) => {
+    if (typeof campaign[key] !== 'string') errors.push(`The campaign has no ${key}.`);
+  });
+  return errors;
+}
+
+/**
+ * validateContents - Validates the editor contents of a document. The
+ *  contents must be the HTML of a WriteFree editor.
+ *
+ * @param {*} contents The contents to validate.
+ *
+ * @returns {string[]} Returns an array of the problems found.
+ */
+function validateContents(contents) {
+  if (typeof contents !== 'string') return ['The email has no contents.'];
+  const html = new DOMParser().parseFromString(contents, 'text/html');
+  const editor = html.body.firstElementChild;
+  if (!editor || !editor.classList.contains('wf__editor')) {
+    return ['The email contents were not created by the editor.'];
+  }
+  return [];
+}
+
+/**
+ * validateDocInfo - Validates the given docInfo against the current version
+ *  of the file format.
+ *
+ * @param {*} docInfo The docInfo to validate.
+ *
+ * @returns {string[]} Returns an array of the problems found. The array is
+ *  empty if the docInfo is valid.
+ */
+export function validateDocInfo(docInfo) {
+  if (!isObject(docInfo)) return ['The file does not contain an email.'];
+  let errors = [];
+  if (docInfo.fileType !== DocumentFileType) {
+    errors.push('The file is not an ISA Easy Email file.');
+  }
+  if (docInfo.version !== DocumentVersion) {
+    errors.push(`Expected version ${DocumentVersion} but found version ${docInfo.version}.`);
+  }
+  if (!isNonEmptyString(docInfo.title)) errors.push('The email has no title.');
+  if (typeof docInfo.dateCreated !== 'string') errors.push('The email has no creation date.');
+  if (typeof docInfo.subject !== 'string') errors.push('The email has no subject line.');
+  if (typeof docInfo.preheader !== 'string') errors.push('The email has no preheader.');
+  if (typeof docInfo.responsive !== 'boolean') {
+    errors.push('The email doesn\'t say whether it\'s responsive.');
+  }
+  errors = errors.concat(validateCampaign(docInfo.campaign));
+  if (typeof docInfo.copyFooter !== 'boolean') {
+    errors.push('The email doesn\'t say whether its footer is part of the copied code.');
+  }
+  errors = errors.concat(validateBrand(docInfo.brand));
+  errors = errors.concat(validateFooter(docInfo.footer, 'The email\'s footer'));
+  errors = errors.concat(validateStyle(docInfo.style));
+  errors = errors.concat(validateContents(docInfo.contents));
+  if (!Array.isArray(docInfo.links)) {
+    errors.push('The email has no list of buttons.');
+  } else {
+    docInfo.links.forEach((link, i) => {
+      errors = errors.concat(validateLink(link, i));
+    });
+  }
+  return errors;
+}
+
+/**
+ * upgradeDocInfo - Migrates the given docInfo to the current version of the
+ *  file format then validates it.
+ *
+ * @param {*} docInfo The docInfo to upgrade, eg. as parsed from a file.
+ *
+ * @returns {object} Returns a new, valid docInfo of the current version.
+ *
+ * @throws {Error} Throws if the docInfo isn't an ISA Easy Email, was saved by
+ *  a newer version of the editor, or is invalid after migrating. The thrown
+ *  Error has an errors property listing each problem.
+ */
+export function upgradeDocInfo(docInfo) {
+  if (!isObject(docInfo)) throw createFormatError(['The file does not contain an email.']);
+  if (docInfo.fileType !== DocumentFileType) {
+    throw createFormatError(['The file is not an ISA Easy Email file.']);
+  }
+  let version = getVersion(docInfo);
+  if (!Number.isInteger(version) || version < 1) {
+    throw createFormatError([`"${version}" is not a valid file version.`]);
+  }
+  if (version > DocumentVersion) {
+    throw createFormatError([
+      `This email was saved by a newer version of ISA Easy Email (file version ${version}). Reload the page to get the latest version.`,
+    ]);
+  }
+  let upgraded = docInfo;
+  while (version < DocumentVersion) {
+    upgraded = migrations[version](upgraded);
+    version += 1;
+  }
+  const errors = validateDocInfo(upgraded);
+  if (errors.length > 0) throw createFormatError(errors);
+  return upgraded;
+}
+
+/**
+ * parseDocFile - Parses the text of an .isaemail file.
+ *
+ * @param {string} text The contents of the file.
+ *
+ * @returns {object} Returns the upgraded and validated docInfo.
+ *
+ * @throws {Error} Throws if the file isn't valid JSON or isn't a valid email.
+ *  See upgradeDocInfo.
+ */
+export function parseDocFile(text) {
+  let docInfo;
+  try {
+    docInfo = JSON.parse(text);
+  } catch (exc) {
+    throw createFormatError(['The file could not be read. It is not valid JSON.']);
+  }
+  return upgradeDocInfo(docInfo);
+}
@@ -0,0 +1,99 @@
+import {
+  deleteRecord,
+  getAllRecords,
+  getRecord,
+  putRecord,
+} from './database.js';
+import { generateCurrentDateString } from '../lib.js';
+
+const storeName = 'drafts';
+
+/**
+ * listDrafts - Retrieves every draft in the library, most recently modified
+ *  first.
+ *
+ * @returns {Promise} Resolves with an array of draft records. Each record has
+ *  an id, title, dateCreated, lastModified and the docInfo of the email.
+ */
+export function listDrafts() {
+  return getAllRecords(storeName).then(drafts => drafts.sort((a, b) => {
+    if (a.lastModified === b.lastModified) return b.id - a.id;
+    return a.lastModified < b.lastModified ? 1 : -1;
+  }));
+}
+
+/**
+ * getDraft - Retrieves a single draft from the library.
+ *
+ * @param {number} id The id of the draft.
+ *
+ * @returns {Promise} Resolves with the draft record.
+ */
+export function getDraft(id) {
+  return getRecord(storeName, id);
+}
+
+/**
+ * saveDraft - Saves the given docInfo to the library. If given an id, the
+ *  existing draft is overwritten. Otherwise a new draft is created.
+ *
+ * @param {object} docInfo The docInfo of the email to save.
+ * @param {number} [id] The id of the draft to overwrite.
+ *
+ * @returns {Promise} Resolves with the id of the saved draft.
+ */
+export function saveDraft(docInfo, id = null) {
+  // Round-trip through JSON so the getters on the live docInfo are flattened.
+  const savedDocInfo = JSON.parse(JSON.stringify(docInfo));
+  const draft = {
+    title: savedDocInfo.title,
+    dateCreated: savedDocInfo.dateCreated,
+    lastModified: generateCurrentDateString(),
+    docInfo: savedDocInfo,
+  };
+  if (id !== null) draft.id = id;
+  return putRecord(storeName, draft);
+}
+
+/**
+ * duplicateDraft - Creates a copy of the given draft. The copy's title has
+ *  " (Copy)" appended and its creation date is set to now.
+ *
+ * @param {number} id The id of the draft to copy.
+ *
+ * @returns {Promise} Resolves with the id of the new draft.
+ */
+export function duplicateDraft(id) {
+  return getDraft(id).then((draft) => {
+    const docInfo = Object.assign({}, draft.docInfo);
+    docInfo.title = `${draft.title} (Copy)`;
+    docInfo.dateCreated = generateCurrentDateString();
+    return saveDraft(docInfo);
+  });
+}
+
+/**
+ * renameDraft - Changes the title of the given draft.
+ *
+ * @param {number} id The id of the draft to rename.
+ * @param {string} title The new title.
+ *
+ * @returns {Promise} Resolves with the id of the renamed draft.
+ */
+export function renameDraft(id, title) {
+  return getDraft(id).then((draft) => {
+    const docInfo = Object.assign({}, draft.docInfo, { title });
+    return saveDraft(docInfo, id);
+  });
+}
+
+/**
+ * deleteDraft - Removes the given draft from the library.
+ *
+ * @param {number} id The id of the draft to delete.
+ *
+ * @returns {Promise} Resolves once the draft is deleted.
+ */
+export function deleteDraft(id) {
+  return deleteRecord(storeName, id);
+}
@@ -0,0 +1,267 @@
+import {
+  deleteRecord,
+  getAllRecords,
+  putRecord,
+} from './database.js';
+import {
+  generateCurrentDateString,
+  isNonEmptyString,
+  isObject,
+  parseLink,
+} from '../lib.js';
+import { blockAttribute, blockSettingsAttribute } from '../contentBlocks.js';
+import { mergeTagAttribute } from '../mergeTags.js';
+import { optOutAttribute } from '../export/campaignTags.js';
+
+/*
+ * Snippets are pieces of email the user reuses, eg. a deadline disclaimer or a
+ * signature. Each is saved from a selection in the editor:
+ *
+ * {
+ *   id: 1,
+ *   name: 'Office Hours',
+ *   html: 'Our office is open <b>9am to 5pm</b>, Monday to Friday.',
+ *   inline: true,
+ *   dateCreated: '...',
+ * }
+ *
+ * Inline snippets are text, links and formatting from within one section of
+ * the editor, and are inserted at the caret. Other snippets are whole
+ * sections, eg. paragraphs, headings and content blocks, and are inserted as
+ * sections. Snippets are exported and imported as JSON files:
+ *
+ * { "fileType": "ISAEmail_snippets", "snippets": [{ "name": ..., "html": ..., "inline": ... }] }
+ */
+
+const storeName = 'snippets';
+export const snippetFileType = 'ISAEmail_snippets';
+
+// Only the elements and attributes the editor makes are kept in imported
+// snippets. Other elements are replaced by their contents, except these, which
+// are removed along with their contents.
+const allowedTags = [
+  'p', 'h1', 'h2', 'div', 'br', 'b', 'strong', 'i', 'em', 'u', 'a', 'img', 'hr', 'span',
+  'table', 'tbody', 'tr', 'td',
+];
+const removedTags = [
+  'script', 'style', 'iframe', 'object', 'embed', 'link', 'meta', 'base', 'form', 'template',
+  'svg', 'math', 'noscript', 'textarea', 'select', 'title', 'head',
+];
+const allowedAttributes = [
+  'class', 'style', 'href', 'src', 'alt', 'title', 'target', 'width', 'height', 'border', 'align',
+  'valign', 'bgcolor', 'role', 'cellspacing', 'cellpadding', 'contenteditable',
+  blockAttribute, blockSettingsAttribute, mergeTagAttribute, optOutAttribute,
+];
+// The settings of content blocks which hold links. Blocks whose required link
+// is invalid are removed; optional links are cleared. See contentBlocks.js.
+const blockLinkSettings = {
+  url: { required: true },
+  href: { required: false },
+  src: { required: true, image: true },
+};
+
+/**
+ * listSnippets - Retrieves every snippet the user has saved, sorted by name.
+ *
+ * @returns {Promise} Resolves with an array of snippet records.
+ */
+export function listSnippets() {
+  return getAllRecords(storeName).then(snippets => snippets.sort((a, b) => (
+    a.name.localeCompare(b.name)
+  )));
+}
+
+/**
+ * saveSnippet - Saves a new snippet.
+ *
+ * @param {string} name The name of the snippet.
+ * @param {string} html The editor HTML of the snippet.
+ * @param {boolean} inline Whether the snippet is inline content rather than
+ *  sections.
+ *
+ * @returns {Promise} Resolves with the id of the new snippet.
+ */
+export function saveSnippet(name, html, inline) {
+  return putRecord(storeName, {
+    name,
+    html,
+    inline,
+    dateCreated: generateCurrentDateString(),
+  });
+}
+
+/**
+ * deleteSnippet - Removes a snippet from the library.
+ *
+ * @param {number} id The id of the snippet to delete.
+ *
+ * @returns {Promise} Resolves once the snippet is deleted.
+ */
+export function deleteSnippet(id) {
+  return deleteRecord(storeName, id);
+}
+
+/**
+ * cleanURL - Checks a link or image URL from an imported snippet.
+ *
+ * @param {string} url The URL.
+ * @param {boolean} image Whether the URL is the source of an image, which must
+ *  be a web address.
+ *
+ * @returns {string|null} Returns the normalized URL, or null if it's invalid.
+ */
+function cleanURL(url, image) {
+  const result = parseLink(url);
+  if (!result.valid || (image && result.type !== 'web')) return null;
+  return result.url;
+}
+
+/**
+ * cleanBlockSettings - Checks the links in the settings of a content block
+ *  from an imported snippet. They become live links when the block is rebuilt.
+ *
+ * @param {string} json The settings of the block.
+ *
+ * @returns {string|null} Returns the cleaned settings, or null if the block
+ *  should be removed.
+ */
+function cleanBlockSettings(json) {
+  let settings;
+  try {
+    settings = JSON.parse(json);
+  } catch (exc) {
+    return null;
+  }
+  if (!isObject(settings)) return null;
+  const valid = Object.keys(blockLinkSettings).every((key) => {
+    if (!(key in settings)) return true;
+    const { required, image } = blockLinkSettings[key];
+    if (!settings[key] && !required) return true;
+    const url = cleanURL(typeof settings[key] === 'string' ? settings[key] : '', image);
+    settings[key] = url || '';
+    return Boolean(url) || !required;
+  });
+  return valid ? JSON.stringify(settings) : null;
+}
+
+/**
+ * cleanElement - Removes anything the editor doesn't make from an element of
+ *  an imported snippet and its descendants.
+ *
+ * @param {Element} $el The element to clean.
+ *
+ */
+function cleanElement($el) {
+  Array.from($el.childNodes).forEach(($node) => {
+    if ($node.nodeType === Node.TEXT_NODE) return;
+    if ($node.nodeType !== Node.ELEMENT_NODE) {
+      $el.removeChild($node);
+      return;
+    }
+    const tag = $node.tagName.toLowerCase();
+    if (removedTags.includes(tag)
+      || ($node.hasAttribute(blockSettingsAttribute)
+        && !cleanBlockSettings($node.getAttribute(blockSettingsAttribute)))) {
+      $el.removeChild($node);
+      return;
+    }
+    cleanElement($node);
+    if (!allowedTags.includes(tag)) {
+      while ($node.firstChild) $el.insertBefore($node.firstChild, $node);
+      $el.removeChild($node);
+      return;
+    }
+    Array.from($node.attributes).forEach(({ name, value }) => {
+      let cleaned = value;
+      if (name === 'href' || name === 'src') {
+        cleaned = cleanURL(value, name === 'src');
+      } else if (name === blockSettingsAttribute) {
+        cleaned = cleanBlockSettings(value);
+      }
+      if (!allowedAttributes.includes(name) || cleaned === null) {
+        $node.removeAttribute(name);
+      } else if (cleaned !== value) {
+        $node.setAttribute(name, cleaned);
+      }
+    });
+    if (tag === 'img' && !$node.hasAttribute('src')) $el.removeChild($node);
+  });
+}
+
+/**
+ * cleanSnippetHTML - Keeps only the elements and attributes the editor makes
+ *  in the HTML of a snippet, so it can't run a script. Links with invalid
+ *  URLs, eg. javascript: links, lose them and images with one are removed.
+ *
+ * @param {string} html The HTML of the snippet.
+ *
+ * @returns {string} Returns the cleaned HTML.
+ */
+function cleanSnippetHTML(html) {
+  const $body = new DOMParser().parseFromString(html, 'text/html').body;
+  cleanElement($body);
+  return $body.innerHTML;
+}
+
+/**
+ * generateSnippetFile - Creates the JSON file the user's snippets are exported
+ *  as.
+ *
+ * @param {object[]} snippets The snippets to export.
+ *
+ * @returns {string} Returns the contents of the file.
+ */
+export function generateSnippetFile(snippets) {
+  return JSON.stringify({
+    fileType: snippetFileType,
+    snippets: snippets.map(({ name, html, inline }) => ({ name, html, inline })),
+  }, null, 2);
+}
+
+/**
+ * parseSnippetFile - Parses a file of exported snippets. Their HTML is
+ *  cleaned. See cleanSnippetHTML.
+ *
+ * @param {string} text The contents of the file.
+ *
+ * @returns {object[]} Returns the snippets: { name, html, inline }.
+ *
+ * @throws {Error} Throws if the file isn't a file of snippets.
+ */
+export function parseSnippetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (exc) {
+    throw Error('The file could not be read. It is not valid JSON.');
+  }
+  if (!isObject(data) || data.fileType !== snippetFileType || !Array.isArray(data.snippets)) {
+    throw Error('The file is not a file of exported snippets.');
+  }
+  const snippets = data.snippets.filter(snippet => isObject(snippet)
+    && isNonEmptyString(snippet.name) && isNonEmptyString(snippet.html));
+  if (snippets.length === 0) throw Error('The file has no snippets.');
+  return snippets.map(snippet => ({
+    name: snippet.name.trim(),
+    html: cleanSnippetHTML(snippet.html),
+    inline: snippet.inline !== false,
+  }));
+}
+
+/**
+ * importSnippets - Adds snippets to the library. Snippets the library already
+ *  has, with the same name and HTML, are skipped.
+ *
+ * @param {object[]} snippets The snippets to add. See parseSnippetFile.
+ *
+ * @returns {Promise} Resolves with the number of snippets added.
+ */
+export function importSnippets(snippets) {
+  return listSnippets().then((existing) => {
+    const added = snippets.filter(snippet => !existing.some(saved => (
+      saved.name === snippet.name && saved.html === snippet.html
+    )));
+    return Promise.all(added.map(({ name, html, inline }) => saveSnippet(name, html, inline)))
+      .then(() => added.length);
+  });
+}
@@ -0,0 +1,48 @@
+import {
+  deleteRecord,
+  getAllRecords,
+  putRecord,
+} from './database.js';
+
+const storeName = 'templates';
+
+/**
+ * listTemplates - Retrieves every template the user has saved, sorted by name.
+ *
+ * @returns {Promise} Resolves with an array of template records. Each record
+ *  has an id, name, description and the docInfo used to start a new email.
+ */
+export function listTemplates() {
+  return getAllRecords(storeName).then(templates => templates.sort((a, b) => (
+    a.name.localeCompare(b.name)
+  )));
+}
+
+/**
+ * saveTemplate - Saves the given docInfo as a new template.
+ *
+ * @param {string} name The name of the template.
+ * @param {object} docInfo The docInfo the template starts new emails from.
+ *  Its title may contain {date}, which is replaced when the template is used.
+ *
+ * @returns {Promise} Resolves with the id of the new template.
+ */
+export function saveTemplate(name, docInfo) {
+  return putRecord(storeName, {
+    name,
+    description: 'Saved from one of your emails.',
+    // Round-trip through JSON so the getters on the live docInfo are flattened.
+    docInfo: JSON.parse(JSON.stringify(docInfo)),
+  });
+}
+
+/**
+ * deleteTemplate - Removes a template from the library.
+ *
+ * @param {number} id The id of the template to delete.
+ *
+ * @returns {Promise} Resolves once the template is deleted.
+ */
+export function deleteTemplate(id) {
+  return deleteRecord(storeName, id);
+}
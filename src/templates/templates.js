@@ -0,0 +1,175 @@
+import {
+  DocumentFileType,
+  generateCurrentDateString,
+  generateElement,
+} from '../lib.js';
+import { DocumentVersion } from '../storage/docSchema.js';
+import { defaultLinks } from '../ctaButtons.js';
+import { defaultCampaign } from '../export/campaignTags.js';
+import { copyBrand, defaultBrand } from '../brands.js';
+import { copyFooter, defaultFooter } from '../footer.js';
+import { defaultStyle } from '../emailStyle.js';
+import {
+  containerStyle,
+  largeHeadingStyle,
+  smallHeadingStyle,
+  sectionStyle,
+} from '../editorStyles.js';
+
+// Replaced with the current date when a template is used.
+const datePlaceholder = '{date}';
+
+const [advisingLink, applicationLink] = defaultLinks;
+
+const blockStyles = {
+  h1: largeHeadingStyle,
+  h2: smallHeadingStyle,
+  p: sectionStyle,
+};
+
+/**
+ * buildContents - Builds the editor HTML for a template, styled the same way
+ *  the editor styles the sections it creates.
+ *
+ * @param {Array[]} blocks The blocks of the email, in order. Each block is a
+ *  [tagName, innerHTML] pair where tagName is 'h1', 'h2', 'p' or 'hr'.
+ *
+ * @returns {string} Returns the editor HTML.
+ */
+function buildContents(blocks) {
+  const $editor = generateElement(
+    'div',
+    { klasses: ['wf__editor'], style: containerStyle, contenteditable: 'true' },
+  );
+  blocks.forEach(([tagName, innerHTML]) => {
+    let $block;
+    if (tagName === 'hr') {
+      $block = generateElement('div', { klasses: ['wf__container-section'], style: sectionStyle });
+      $block.appendChild(generateElement('hr'));
+    } else {
+      $block = generateElement(tagName, { style: blockStyles[tagName], innerHTML });
+      if (tagName === 'p') $block.classList.add('wf__text-section');
+    }
+    $editor.appendChild($block);
+  });
+  return $editor.outerHTML;
+}
+
+/**
+ * createTemplate - Creates a built-in template.
+ *
+ * @param {string} name The name of the template.
+ * @param {string} description A short description of when to use it.
+ * @param {string} title The title given to new emails. May contain {date}.
+ * @param {Array[]} blocks The contents of the email. See buildContents.
+ * @param {object[]} links The CTA buttons to include, in order.
+ *
+ * @returns {object} Returns the template.
+ */
+function createTemplate(name, description, title, blocks, links) {
+  return {
+    name,
+    description,
+    builtIn: true,
+    docInfo: {
+      fileType: DocumentFileType,
+      version: DocumentVersion,
+      title,
+      dateCreated: '',
+      subject: '',
+      preheader: '',
+      responsive: true,
+      campaign: Object.assign({}, defaultCampaign),
+      brand: copyBrand(defaultBrand),
+      footer: copyFooter(defaultFooter),
+      copyFooter: false,
+      style: Object.assign({}, defaultStyle),
+      contents: buildContents(blocks),
+      links,
+    },
+  };
+}
+
+/**
+ * getBuiltInTemplates - Gets the templates which ship with the editor.
+ *
+ * @returns {object[]} Returns an array of templates.
+ */
+export function getBuiltInTemplates() {
+  return [
+    createTemplate(
+      'Program Announcement',
+      'Introduce a new or featured program with its highlights and dates.',
+      `Program Announcement ${datePlaceholder}`,
+      [
+        ['h1', 'Introducing [Program Name]'],
+        ['p', 'Spend a term in [City, Country] studying [subjects] with ISA. Tell your readers why this program is worth their attention.'],
+        ['h2', 'Program Highlights'],
+        ['p', '<b>Courses:</b> [Course areas]<br><b>Housing:</b> [Housing options]<br><b>Excursions:</b> [Excursions included]'],
+        ['h2', 'Dates &amp; Deadlines'],
+        ['p', '<b>Application deadline:</b> [Date]<br><b>Program dates:</b> [Start date] - [End date]'],
+      ],
+      [advisingLink, applicationLink],
+    ),
+    createTemplate(
+      'Scholarship Deadline',
+      'Remind students of an upcoming scholarship deadline.',
+      `Scholarship Deadline ${datePlaceholder}`,
+      [
+        ['h1', 'Scholarship Deadline Approaching'],
+        ['p', 'The deadline to apply for the [Scholarship Name] is <b>[Date]</b>. Don\'t miss your chance to receive up to [Amount] toward your time abroad.'],
+        ['h2', 'How to Apply'],
+        ['p', '[Describe the application steps and any materials students need to submit.]'],
+        ['hr'],
+        ['p', 'Questions about eligibility? Reply to this email and we\'ll be happy to help.'],
+      ],
+      [applicationLink],
+    ),
+    createTemplate(
+      'Pre-departure Checklist',
+      'Help accepted students prepare for their term abroad.',
+      `Pre-departure Checklist ${datePlaceholder}`,
+      [
+        ['h1', 'Get Ready for Your Term Abroad'],
+        ['p', 'Your program in [City, Country] begins on [Date]. Use the checklist below to make sure you\'re ready to go.'],
+        ['h2', 'Before You Go'],
+        ['p', '&#9744; Check that your passport is valid for six months past your return date<br>&#9744; Apply for your student visa, if required<br>&#9744; Book your flight and send us your itinerary<br>&#9744; Complete your online pre-departure orientation'],
+        ['h2', 'Questions?'],
+        ['p', 'Book a session with your advisor to talk through anything on your mind before departure.'],
+      ],
+      [advisingLink],
+    ),
+  ];
+}
+
+/**
+ * docInfoFromTemplate - Creates the docInfo for a new email from a template.
+ *  The title placeholder is filled in and the creation date set to now.
+ *
+ * @param {object} template The template to use.
+ *
+ * @returns {object} Returns the new docInfo.
+ */
+export function docInfoFromTemplate(template) {
+  const dateCreated = generateCurrentDateString();
+  return Object.assign({}, template.docInfo, {
+    title: template.docInfo.title.replace(datePlaceholder, dateCreated),
+    dateCreated,
+  });
+}
+
+/**
+ * docInfoToTemplate - Creates the docInfo for a template from an email. The
+ *  title of emails created from the template will be its name and the date.
+ *
+ * @param {string} name The name of the template.
+ * @param {object} docInfo The docInfo of the email.
+ *
+ * @returns {object} Returns the template's docInfo.
+ */
+export function docInfoToTemplate(name, docInfo) {
+  return Object.assign({}, docInfo, {
+    title: `${name} ${datePlaceholder}`,
+    dateCreated: '',
+  });
+}
@@ -182,6 +182,10 @@ export default (function init() {
         try to copy again using the "Copy" button or you can right-click to copy
         the text straight from the textbox.
       </p>
+      <p>
+        The "Plain Text" tab holds a text-only version of your email for GRS's
+        text version field. It's written for you automatically.
+      </p>
       <p>
         Press "Close" to continue.
       </p>
@@ -284,11 +288,12 @@ export default (function init() {
   substeps[10] = function linkOverview() {
     this.$window.innerHTML = `
       <p>
-        Perfect. The following fields allow you to manipulate the two large
-        buttons at the bottom of the email. These buttons provide links to a
-        place to book an advising session (eg. SimpleBook.me) and to the online
-        application. They have default values but you can choose to override
-        them here.
+        Perfect. The Buttons field allows you to manipulate the large buttons at
+        the bottom of the email. By default these provide links to a place to
+        book an advising session (eg. SimpleBook.me) and to the online
+        application. Each row is one button: you can change its text, URL and
+        colors, drag it by its handle to reorder it, or add a new one with the
+        "Add Button" button.
       </p>
     `;
     prepNextBtn.call(this);
@@ -296,48 +301,47 @@ export default (function init() {
     toggleClicksEnabled.call(this, nextBtn);
   };
 
-  substeps[11] = function switchingLinks() {
+  substeps[11] = function removingButtons() {
     this.$window.innerHTML = `
       <p>
         For instance, let's say we <strong>don't</strong> want to include an
-        advising session link but <strong>do</strong> want to provide a link to
+        advising session button but <strong>do</strong> want to provide a link to
         an online application, but at a new location.
       </p>
       <p>
-        First, let's get rid of that advising session link. You can remove it by
-        clicking the toggle switch after "Include Advising Session Link". Try
-        this now.
+        First, let's get rid of that advising session button. You can remove it
+        by clicking the &times; at the end of its row. Try this now.
       </p>
     `;
-    const advisingSeshField = mainModal.querySelectorAll('.settingsField')[1];
-    const advisingSeshSwitch = advisingSeshField.querySelector('.switch');
-    function changeToggle(e) {
-      e.target.removeEventListener('change', e.target.tutChangeHandler);
+    const buttonsField = mainModal.querySelectorAll('.settingsField')[1];
+    const removeBtn = buttonsField.querySelector('.ctaList__remove');
+    function clickRemove() {
+      removeBtn.removeEventListener('click', removeBtn.tutClickHandler);
       nextSubStep.call(this);
     }
-    advisingSeshSwitch.tutChangeHandler = changeToggle.bind(this);
-    advisingSeshSwitch.addEventListener('change', advisingSeshSwitch.tutChangeHandler);
-    toggleClicksEnabled.call(this, advisingSeshField);
-    this.highlight(advisingSeshField);
-    this.positionWindow(advisingSeshField);
+    removeBtn.tutClickHandler = clickRemove.bind(this);
+    removeBtn.addEventListener('click', removeBtn.tutClickHandler);
+    toggleClicksEnabled.call(this, removeBtn);
+    this.highlight(buttonsField);
+    this.positionWindow(buttonsField);
   };
 
   substeps[12] = function editingLinkURLs() {
     const targetText = 'google.com';
     this.$window.innerHTML = `
       <p>
-        Did you notice how the text box for the advising session URL went away?
-        Once you hit save the link itself will be removed from the email, too.
-        Pretty neat, right?
+        Did you notice how the advising session row went away? Once you hit save
+        the button itself will be removed from the email, too. Pretty neat,
+        right?
       </p>
       <p>
-        Now let's change the URL for the link to the online application. We'll
-        just set it to something easy, like google for now. Change the contents
-        of the Application Link URL box to say "${targetText}".
+        Now let's change the URL for the "Apply Now" button. We'll just set it
+        to something easy, like google for now. Change the contents of its URL
+        box to say "${targetText}".
       </p>
     `;
-    const applicationLinkField = mainModal.querySelectorAll('.settingsField')[2];
-    const applicationLinkTextBox = applicationLinkField.querySelector('input[type="text"]');
+    const buttonsField = mainModal.querySelectorAll('.settingsField')[1];
+    const applicationLinkTextBox = buttonsField.querySelector('.ctaList__url');
     function isCorrectURL() {
       if (applicationLinkTextBox.value === targetText) {
         applicationLinkTextBox.removeEventListener('keyup', applicationLinkTextBox.tutKeyHandler);
@@ -346,8 +350,8 @@ export default (function init() {
     }
     applicationLinkTextBox.tutKeyHandler = isCorrectURL.bind(this);
     applicationLinkTextBox.addEventListener('keyup', applicationLinkTextBox.tutKeyHandler);
-    this.highlight(applicationLinkField);
-    this.positionWindow(applicationLinkField);
+    this.highlight(buttonsField);
+    this.positionWindow(buttonsField);
     toggleClicksEnabled.call(this, applicationLinkTextBox);
   };
 
@@ -367,7 +371,7 @@ export default (function init() {
     this.$window.innerHTML = `
       <p>
         That's it for the controller section. Check out the email now: it only
-        has the application link. You should also notice that the title in the
+        has the application button. You should also notice that the title in the
         bottom right of the corner has changed.
       </p>
     `;